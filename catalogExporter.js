@@ -0,0 +1,215 @@
+import { CATEGORY_INFO, DEFAULT_FEATURED_NOTE, PLATFORMS, isFeaturedProject, sortByFeatured } from './config.js';
+import { validateUrl } from './utils/validators/url.js';
+
+const CATALOG_TITLE = 'Jellyfin Community Projects';
+const CATALOG_DESCRIPTION = 'Clients, plugins, and services built by the Jellyfin community';
+const CATALOG_HOME_URL = 'https://github.com/JellyfinCommunity/DiscordCommunity-Bot';
+
+/**
+ * Supported export formats, keyed by format name
+ */
+export const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown awesome-list', extension: 'md', render: renderMarkdown },
+    jsonfeed: { label: 'JSON Feed', extension: 'json', render: renderJsonFeed },
+    csv: { label: 'CSV', extension: 'csv', render: renderCsv }
+};
+
+/**
+ * Group the catalog by category, featured projects first
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @returns {Array<{ category: string, info: Object, items: Array }>}
+ */
+function groupByCategory(data) {
+    return Object.entries(CATEGORY_INFO).map(([category, info]) => ({
+        category,
+        info,
+        items: sortByFeatured(data[info.dataKey] || [])
+    }));
+}
+
+/**
+ * Format an ISO timestamp as YYYY-MM-DD
+ * @param {string} value - ISO timestamp
+ * @returns {string}
+ */
+function formatDate(value) {
+    const time = Date.parse(value);
+    return isNaN(time) ? '' : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Get developer names from a project
+ * @param {Object} item - Project item
+ * @returns {string[]}
+ */
+function developerNames(item) {
+    return (item.developers || []).map(dev => (typeof dev === 'string' ? dev : dev.name)).filter(Boolean);
+}
+
+/**
+ * Escape characters that would break a Markdown list line
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/\s+/g, ' ').replace(/([\\[\]*_`<>|])/g, '\\$1').trim();
+}
+
+/**
+ * Build a GitHub-style heading anchor
+ * @param {string} heading - Heading text
+ * @returns {string}
+ */
+function anchor(heading) {
+    return heading.toLowerCase().replace(/[^a-z0-9 -]/g, '').replace(/ /g, '-');
+}
+
+/**
+ * Render one project as an awesome-list line
+ * @param {Object} item - Project item
+ * @returns {string}
+ */
+function markdownLine(item) {
+    const repo = validateUrl(item.repo);
+    const name = escapeMarkdown(item.name);
+    let line = `- ${isFeaturedProject(item) ? '⭐ ' : ''}${repo ? `[${name}](${repo})` : `**${name}**`}`;
+
+    if (item.description) line += ` - ${escapeMarkdown(item.description)}`;
+
+    const developers = developerNames(item);
+    if (developers.length > 0) line += ` By ${developers.map(escapeMarkdown).join(', ')}.`;
+
+    if (item.lastRelease?.tag) {
+        const releaseUrl = validateUrl(item.lastRelease.url);
+        const tag = `\`${String(item.lastRelease.tag).replace(/`/g, '')}\``;
+        const date = formatDate(item.lastRelease.published_at);
+        line += ` Latest release: ${releaseUrl ? `[${tag}](${releaseUrl})` : tag}${date ? ` (${date})` : ''}.`;
+    }
+
+    return line;
+}
+
+/**
+ * Render the catalog as a Markdown awesome-list
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @returns {string}
+ */
+export function renderMarkdown(data) {
+    const groups = groupByCategory(data).filter(group => group.items.length > 0);
+    const lines = [
+        `# ${CATALOG_TITLE}`,
+        '',
+        `> ${CATALOG_DESCRIPTION}. ⭐ marks featured projects.`,
+        '',
+        '## Contents',
+        '',
+        ...groups.map(({ info }) => `- [${info.name}](#${anchor(info.name)})`)
+    ];
+
+    for (const { info, items } of groups) {
+        lines.push('', `## ${info.name}`, '', ...items.map(markdownLine));
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render the catalog as a JSON Feed (https://jsonfeed.org/version/1.1)
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @returns {string}
+ */
+export function renderJsonFeed(data) {
+    const items = groupByCategory(data).flatMap(({ category, info, items: projects }) => projects.map(item => {
+        const featured = isFeaturedProject(item);
+        const entry = {
+            id: `${category}:${item.id}`,
+            title: item.name,
+            content_text: item.description || '',
+            tags: [info.noun, ...(featured ? ['featured'] : []), ...(item.tags?.platforms || [])],
+            _jellyfin: {
+                category,
+                featured,
+                ...(featured ? { featured_note: item.featured.note || DEFAULT_FEATURED_NOTE } : {}),
+                ...(item.lastRelease ? { latest_release: item.lastRelease } : {})
+            }
+        };
+
+        const url = validateUrl(item.repo);
+        if (url) entry.url = url;
+
+        const image = validateUrl(item.logo || item.icon || item.image);
+        if (image) entry.image = image;
+
+        const authors = (item.developers || [])
+            .map(dev => (typeof dev === 'string' ? { name: dev } : { name: dev.name, ...(validateUrl(dev.link) ? { url: dev.link } : {}) }))
+            .filter(author => author.name);
+        if (authors.length > 0) entry.authors = authors;
+
+        if (item.lastRelease?.published_at) entry.date_modified = item.lastRelease.published_at;
+
+        return entry;
+    }));
+
+    const feed = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: CATALOG_TITLE,
+        description: CATALOG_DESCRIPTION,
+        home_page_url: CATALOG_HOME_URL,
+        items
+    };
+
+    return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {any} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the catalog as CSV, one row per project
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @returns {string}
+ */
+export function renderCsv(data) {
+    const header = [
+        'category', 'id', 'name', 'description', 'repo', 'developers', 'featured',
+        'latest_release', 'released_at', 'platforms', 'license'
+    ];
+
+    const rows = groupByCategory(data).flatMap(({ category, items }) => items.map(item => [
+        category,
+        item.id,
+        item.name,
+        item.description,
+        item.repo,
+        developerNames(item).join('; '),
+        isFeaturedProject(item) ? 'yes' : 'no',
+        item.lastRelease?.tag,
+        formatDate(item.lastRelease?.published_at),
+        (item.tags?.platforms || []).map(p => PLATFORMS[p] || p).join('; '),
+        item.tags?.license
+    ]));
+
+    return `${[header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Render the catalog in a supported format
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} format - Format key from EXPORT_FORMATS
+ * @returns {{ content: string, filename: string }}
+ */
+export function exportCatalog(data, format) {
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format "${format}", expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    return { content: exporter.render(data), filename: `jellyfin-community-projects.${exporter.extension}` };
+}
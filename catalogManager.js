@@ -0,0 +1,377 @@
+import { createHash } from 'crypto';
+import { CATEGORY_INFO, isFeaturedProject } from './config.js';
+import { readJsonWithRecovery, writeJsonAtomic } from './utils/atomicJson.js';
+import { catalogMutex } from './utils/asyncMutex.js';
+import { validateDataFile, SCHEMA_VERSIONS } from './utils/schemas.js';
+import { fuzzyScore } from './utils/fuzzy.js';
+import { satisfies, parseVersion, compareVersions } from './utils/semver.js';
+import { truncate } from './utils/safeEmbed.js';
+import { createModuleLogger } from './utils/logger.js';
+import { DATA_FILE } from './utils/paths.js';
+
+const log = createModuleLogger('catalog');
+
+// Discord allows at most 25 autocomplete choices
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+// Minimum fuzzy score for a project to count as a search hit
+const MIN_SEARCH_SCORE = 0.2;
+
+// Days without commits after which a project counts as stale
+export const STALE_PROJECT_DAYS = Number(process.env.STALE_PROJECT_DAYS) || 180;
+
+// How much each field contributes to a project's search score
+const SEARCH_WEIGHTS = {
+    name: 1,
+    id: 0.95,
+    developer: 0.85,
+    description: 0.6
+};
+
+/**
+ * Load the project catalog (data.json)
+ * @returns {Promise<Object>} Catalog data keyed by data.json category key
+ */
+export async function loadCatalog() {
+    return readJsonWithRecovery(DATA_FILE, { schemaVersion: SCHEMA_VERSIONS.data, third_party_clients: [], plugins: [], services: [] });
+}
+
+/**
+ * Flatten the catalog into a list of projects tagged with their category
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @returns {Array<{ item: Object, category: string }>}
+ */
+export function listProjects(data) {
+    const projects = [];
+    for (const [category, info] of Object.entries(CATEGORY_INFO)) {
+        for (const item of data[info.dataKey] || []) {
+            projects.push({ item, category });
+        }
+    }
+    return projects;
+}
+
+/**
+ * Find a single project by category and id
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} category - Category type: 'clients', 'plugins', or 'services'
+ * @param {string} id - Project id
+ * @returns {Object|null} The project item or null
+ */
+export function findProject(data, category, id) {
+    const info = CATEGORY_INFO[category];
+    if (!info) return null;
+    return (data[info.dataKey] || []).find(item => item.id === id) || null;
+}
+
+/**
+ * Build a stable reference for a project, used as autocomplete and component values
+ * @param {string} category - Category type
+ * @param {string} id - Project id
+ * @returns {string} Reference like "plugins:jellyfin-enhanced"
+ */
+export function projectRef(category, id) {
+    return `${category}:${id}`;
+}
+
+/**
+ * Hash a project reference to a short key for custom IDs, which cannot hold references with long project ids
+ * @param {string} ref - Project reference from projectRef()
+ * @returns {string} 12-character key
+ */
+export function projectKey(ref) {
+    return createHash('sha256').update(ref).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Parse a reference created by projectRef()
+ * @param {string} ref - Project reference
+ * @returns {{ category: string, id: string }|null}
+ */
+export function parseProjectRef(ref) {
+    if (!ref || typeof ref !== 'string') return null;
+    const separator = ref.indexOf(':');
+    if (separator === -1) return null;
+
+    const category = ref.slice(0, separator);
+    const id = ref.slice(separator + 1);
+    if (!CATEGORY_INFO[category] || !id) return null;
+
+    return { category, id };
+}
+
+/**
+ * Score a project against a search query across name, id, description and developers
+ * @param {Object} item - Project item
+ * @param {string} query - Search query
+ * @returns {number} Best weighted score (0 = no match)
+ */
+function scoreProject(item, query) {
+    const developerNames = (item.developers || [])
+        .map(dev => (typeof dev === 'string' ? dev : dev.name));
+
+    const scores = [
+        fuzzyScore(query, item.name) * SEARCH_WEIGHTS.name,
+        fuzzyScore(query, item.id) * SEARCH_WEIGHTS.id,
+        fuzzyScore(query, item.description) * SEARCH_WEIGHTS.description,
+        ...developerNames.map(name => fuzzyScore(query, name) * SEARCH_WEIGHTS.developer)
+    ];
+
+    return Math.max(...scores);
+}
+
+/**
+ * Fuzzy-search projects across all catalog categories.
+ * An empty query returns every project, featured first.
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<{ item: Object, category: string, score: number }>}
+ */
+export function searchProjects(data, query, limit = MAX_AUTOCOMPLETE_CHOICES) {
+    const projects = listProjects(data);
+    const trimmed = (query || '').trim();
+
+    const results = trimmed
+        ? projects
+            .map(project => ({ ...project, score: scoreProject(project.item, trimmed) }))
+            .filter(project => project.score >= MIN_SEARCH_SCORE)
+        : projects.map(project => ({ ...project, score: isFeaturedProject(project.item) ? 1 : 0 }));
+
+    return results
+        .sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name))
+        .slice(0, limit);
+}
+
+/**
+ * Convert search results to Discord autocomplete choices
+ * @param {Array<{ item: Object, category: string }>} projects - Search results
+ * @returns {Array<{ name: string, value: string }>}
+ */
+export function toAutocompleteChoices(projects) {
+    return projects.slice(0, MAX_AUTOCOMPLETE_CHOICES).map(({ item, category }) => ({
+        name: truncate(`${isFeaturedProject(item) ? '⭐ ' : ''}${item.name} (${CATEGORY_INFO[category].singular})`, 100),
+        value: projectRef(category, item.id)
+    }));
+}
+
+/**
+ * Resolve a command option value to a project.
+ * Accepts an autocomplete reference, or falls back to the best fuzzy match for free text.
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} value - Option value
+ * @returns {{ item: Object, category: string }|null}
+ */
+export function resolveProject(data, value) {
+    const ref = parseProjectRef(value);
+    if (ref) {
+        const item = findProject(data, ref.category, ref.id);
+        if (item) return { item, category: ref.category };
+    }
+
+    const [bestMatch] = searchProjects(data, value, 1);
+    return bestMatch ? { item: bestMatch.item, category: bestMatch.category } : null;
+}
+
+/**
+ * Resolve a command option value to a project without guessing, for commands that change the catalog.
+ * Accepts an autocomplete reference, or a project whose id or name matches the text exactly (ignoring case).
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} value - Option value
+ * @returns {{ item: Object, category: string }|null} The project, or null if no single project matches exactly
+ */
+export function resolveProjectExact(data, value) {
+    const ref = parseProjectRef(value);
+    if (ref) {
+        const item = findProject(data, ref.category, ref.id);
+        if (item) return { item, category: ref.category };
+    }
+
+    const text = (value || '').trim().toLowerCase();
+    const matches = listProjects(data)
+        .filter(({ item }) => item.id.toLowerCase() === text || item.name.toLowerCase() === text);
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Apply a change to data.json (mutex-protected).
+ * The catalog is re-read inside the lock, so concurrent writers never overwrite each other.
+ * @param {Function} mutate - Receives the catalog data and modifies it in place;
+ *   may return an array of error messages to abort without saving
+ * @returns {Promise<{ success: boolean, errors: string[] }>}
+ */
+export async function updateCatalog(mutate) {
+    return catalogMutex.runExclusive(async () => {
+        const data = await loadCatalog();
+
+        const errors = await mutate(data) || [];
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        // Validate data before saving to prevent corruption
+        const validation = validateDataFile(data);
+        if (!validation.valid) {
+            log.error({ errors: validation.errors }, 'Catalog validation failed, not saving');
+            return { success: false, errors: validation.errors };
+        }
+
+        await writeJsonAtomic(DATA_FILE, data);
+        return { success: true, errors: [] };
+    });
+}
+
+/**
+ * Create a catalog id from a project name
+ * @param {string} name - Project name
+ * @returns {string} Slug like "jellyfin-enhanced"
+ */
+export function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Add a new project to a category
+ * @param {string} category - Category type: 'clients', 'plugins', or 'services'
+ * @param {Object} project - Project item (must have a unique id)
+ * @returns {Promise<{ success: boolean, errors: string[] }>}
+ */
+export async function addProject(category, project) {
+    return updateCatalog(data => {
+        if (listProjects(data).some(({ item }) => item.id === project.id)) {
+            return [`A project with id "${project.id}" already exists`];
+        }
+
+        const key = CATEGORY_INFO[category].dataKey;
+        data[key] = [...(data[key] || []), project];
+    });
+}
+
+/**
+ * Update fields of an existing project, keeping tracked fields like lastRelease
+ * @param {string} category - Category type
+ * @param {string} id - Project id
+ * @param {Object} changes - Fields to overwrite (undefined values remove the field)
+ * @returns {Promise<{ success: boolean, errors: string[] }>}
+ */
+export async function updateProject(category, id, changes) {
+    return updateCatalog(data => {
+        const item = findProject(data, category, id);
+        if (!item) return [`Project "${id}" no longer exists`];
+
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === undefined) {
+                delete item[key];
+            } else {
+                item[key] = value;
+            }
+        }
+    });
+}
+
+/**
+ * Remove a project from a category
+ * @param {string} category - Category type
+ * @param {string} id - Project id
+ * @returns {Promise<{ success: boolean, errors: string[] }>}
+ */
+export async function removeProject(category, id) {
+    return updateCatalog(data => {
+        const key = CATEGORY_INFO[category].dataKey;
+        const items = data[key] || [];
+        if (!items.some(item => item.id === id)) return [`Project "${id}" no longer exists`];
+
+        data[key] = items.filter(item => item.id !== id);
+    });
+}
+
+/**
+ * Filter projects by their platform and feature tags
+ * @param {Array} items - Project items
+ * @param {Object} filters - Tag filters
+ * @param {string} [filters.platform] - Platform key, see PLATFORMS in config.js
+ * @param {string} [filters.feature] - Feature key, see FEATURES in config.js
+ * @returns {Array} Items carrying every requested tag
+ */
+export function filterByTags(items, { platform, feature } = {}) {
+    return items.filter(item => {
+        const tags = item.tags || {};
+        if (platform && !(tags.platforms || []).includes(platform)) return false;
+        if (feature && !(tags.features || []).includes(feature)) return false;
+        return true;
+    });
+}
+
+/**
+ * Find the newest imported plugin version that runs on a Jellyfin server.
+ * Jellyfin loads plugins built for the same major.minor release at or below the server version.
+ * @param {Object} item - Project item with manifest versions
+ * @param {string} serverVersion - Jellyfin server version, e.g. "10.10.3"
+ * @returns {Object|null} Manifest version entry, or null if none matches
+ */
+export function findCompatibleVersion(item, serverVersion) {
+    const server = parseVersion(serverVersion);
+    if (!server) return null;
+
+    return (item.manifest?.versions || []).find(version => {
+        const abi = parseVersion(version.targetAbi);
+        return abi && abi[0] === server[0] && abi[1] === server[1] && compareVersions(abi, server) <= 0;
+    }) || null;
+}
+
+/**
+ * Check a project's Jellyfin server compatibility.
+ * A declared compatibility range wins; imported plugins fall back to their versions' targetAbi.
+ * @param {Object} item - Project item
+ * @param {string} serverVersion - Jellyfin server version, e.g. "10.10.3"
+ * @returns {boolean|null} Whether it is compatible, or null when the project has no compatibility info
+ */
+export function isCompatibleWith(item, serverVersion) {
+    const range = item.compatibility?.server;
+    if (range) return satisfies(serverVersion, range);
+
+    if (item.manifest?.versions?.some(version => version.targetAbi)) {
+        return findCompatibleVersion(item, serverVersion) !== null;
+    }
+
+    return null;
+}
+
+/**
+ * Flag a project whose repository is archived or inactive, based on its recorded health
+ * @param {Object} item - Project item
+ * @param {number} [now] - Current time in ms
+ * @returns {'archived'|'stale'|null}
+ */
+export function getHealthFlag(item, now = Date.now()) {
+    const health = item.health;
+    if (!health) return null;
+    if (health.archived) return 'archived';
+
+    const lastCommit = Date.parse(health.lastCommit);
+    if (!isNaN(lastCommit) && now - lastCommit > STALE_PROJECT_DAYS * 24 * 60 * 60 * 1000) return 'stale';
+
+    return null;
+}
+
+/**
+ * Work out which releases of a project are announced, and in which channels.
+ * Projects without releaseTracking announce stable releases in UPDATE_CHANNEL_ID;
+ * pre-releases default to PRERELEASE_CHANNEL_ID, then UPDATE_CHANNEL_ID.
+ * @param {Object} item - Project item
+ * @returns {{ stable: boolean, prerelease: boolean, stableChannelId: string|null, prereleaseChannelId: string|null }}
+ */
+export function getReleasePolicy(item) {
+    const { track = 'stable', stableChannelId, prereleaseChannelId } = item.releaseTracking || {};
+    const updateChannelId = process.env.UPDATE_CHANNEL_ID || null;
+
+    return {
+        stable: track !== 'prerelease',
+        prerelease: track !== 'stable',
+        stableChannelId: stableChannelId || updateChannelId,
+        prereleaseChannelId: prereleaseChannelId || process.env.PRERELEASE_CHANNEL_ID || updateChannelId
+    };
+}
@@ -0,0 +1,227 @@
+import { EmbedBuilder, StringSelectMenuBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder, MessageFlags } from 'discord.js';
+import { COLORS, CATEGORY_INFO, PLATFORMS, FEATURES, isFeaturedProject, sortByFeatured, DISCORD_SELECT_MENU_LIMIT } from './config.js';
+import { createProjectEmbed, createDeveloperButtons } from './embedHelper.js';
+import { commandLogger as log } from './utils/logger.js';
+import { buildCustomId } from './utils/componentRouter.js';
+import { loadCatalog, filterByTags } from './catalogManager.js';
+
+/**
+ * Split a category's items into select-menu sized pages.
+ * Items are sorted featured-first, so featured projects always land on page one.
+ * @param {Array} items - Project items of one category
+ * @returns {Array<Array>} Pages of at most DISCORD_SELECT_MENU_LIMIT items
+ */
+export function paginateCatalog(items) {
+    const sorted = sortByFeatured(items);
+    const pages = [];
+    for (let i = 0; i < sorted.length; i += DISCORD_SELECT_MENU_LIMIT) {
+        pages.push(sorted.slice(i, i + DISCORD_SELECT_MENU_LIMIT));
+    }
+    return pages;
+}
+
+/**
+ * Describe active tag filters, e.g. "on **Android TV / Google TV** with **Offline downloads**"
+ * @param {Object} filters - Tag filters ({ platform, feature })
+ * @returns {string} Description, or an empty string without filters
+ */
+function describeFilters({ platform, feature } = {}) {
+    const parts = [];
+    if (platform) parts.push(`on **${PLATFORMS[platform] || platform}**`);
+    if (feature) parts.push(`with **${FEATURES[feature] || feature}**`);
+    return parts.join(' ');
+}
+
+/**
+ * Build the embed and components for one page of a catalog menu
+ * @param {Array} items - Project items of the category (already filtered)
+ * @param {string} category - Category type: 'clients', 'plugins', or 'services'
+ * @param {number} page - Zero-based page index (clamped to the valid range)
+ * @param {Object} filters - Tag filters that produced the items, shown in the embed
+ * @returns {{ embeds: EmbedBuilder[], components: ActionRowBuilder[], page: number }}
+ */
+export function buildCatalogPage(items, category, page = 0, filters = {}) {
+    const categoryInfo = CATEGORY_INFO[category];
+    const pages = paginateCatalog(items);
+    const totalPages = pages.length;
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+
+    const options = pages[currentPage].map(item => {
+        const isFeatured = isFeaturedProject(item);
+        return {
+            label: `${isFeatured ? '⭐ ' : ''}${item.name.substring(0, 97)}`,
+            description: item.description ? item.description.substring(0, 100) : 'No description available',
+            value: item.id
+        };
+    });
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(buildCustomId('catalog', category, 'select', ...filterArgs(filters)))
+        .setPlaceholder(`Choose a ${categoryInfo.noun} to view details...`)
+        .addOptions(options);
+
+    const components = [new ActionRowBuilder().addComponents(selectMenu)];
+
+    if (totalPages > 1) {
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(buildCustomId('catalog', category, 'page', currentPage - 1, ...filterArgs(filters)))
+                .setLabel('◀ Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === 0),
+            new ButtonBuilder()
+                .setCustomId(buildCustomId('catalog', category, 'indicator'))
+                .setLabel(`Page ${currentPage + 1}/${totalPages}`)
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(true),
+            new ButtonBuilder()
+                .setCustomId(buildCustomId('catalog', category, 'page', currentPage + 1, ...filterArgs(filters)))
+                .setLabel('Next ▶')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(currentPage === totalPages - 1)
+        ));
+    }
+
+    const pageInfo = totalPages > 1 ? ` • Page ${currentPage + 1} of ${totalPages}` : '';
+    const filterText = describeFilters(filters);
+    const filterInfo = filterText ? `🔎 Showing ${categoryInfo.plural} ${filterText}\n\n` : '';
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS[category])
+        .setAuthor({
+            name: categoryInfo.name,
+            iconURL: categoryInfo.iconURL,
+            url: categoryInfo.url
+        })
+        .setTitle(categoryInfo.menuTitle)
+        .setDescription(`${filterInfo}⭐ = Featured community projects\n\nSelect a ${categoryInfo.noun} from the dropdown menu below to view detailed information.`)
+        .setFooter({ text: `${items.length} ${categoryInfo.plural} ${filterText ? 'found' : 'available'}${pageInfo}` });
+
+    return { embeds: [embed], components, page: currentPage };
+}
+
+/**
+ * Encode tag filters as custom ID segments
+ * @param {Object} filters - Tag filters ({ platform, feature })
+ * @returns {string[]} [platform, feature], empty when unset
+ */
+function filterArgs({ platform, feature } = {}) {
+    return [platform || '', feature || ''];
+}
+
+/**
+ * Load a category from data.json and apply tag filters
+ * @param {string} category - Category type
+ * @param {Object} filters - Tag filters ({ platform, feature })
+ * @returns {Promise<Array>} Matching project items
+ */
+async function loadCategoryItems(category, filters) {
+    const data = await loadCatalog();
+    return filterByTags(data[CATEGORY_INFO[category].dataKey] || [], filters);
+}
+
+/**
+ * Build the detail view of a selected project, with a button back to the menu page
+ * @param {Object} item - Selected project item
+ * @param {string} category - Category type
+ * @param {number} page - Menu page to return to
+ * @param {Object} filters - Tag filters of the menu
+ * @returns {{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }}
+ */
+function buildProjectView(item, category, page, filters) {
+    const back = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('catalog', category, 'page', page, ...filterArgs(filters)))
+            .setLabel('◀ Back to list')
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    return {
+        embeds: [createProjectEmbed(item, category)],
+        components: [back, ...createDeveloperButtons(item)]
+    };
+}
+
+/**
+ * Show the catalog menu for a slash command.
+ * The menu keeps no state: its buttons and select menu are handled by handleCatalogComponent.
+ * @param {CommandInteraction} interaction - The slash command interaction
+ * @param {string} category - Category type: 'clients', 'plugins', or 'services'
+ * @param {Object} filters - Optional tag filters ({ platform, feature })
+ */
+export async function showCatalogMenu(interaction, category, filters = {}) {
+    const categoryInfo = CATEGORY_INFO[category];
+
+    // Defer to prevent timeout during file I/O
+    await interaction.deferReply();
+
+    try {
+        const items = await loadCategoryItems(category, filters);
+        const filterText = describeFilters(filters);
+
+        if (items.length === 0) {
+            await interaction.editReply({
+                content: filterText
+                    ? `❌ No ${categoryInfo.plural} found ${filterText}.`
+                    : `❌ No ${categoryInfo.plural} available.`
+            });
+            return;
+        }
+
+        const { embeds, components } = buildCatalogPage(items, category, 0, filters);
+        await interaction.editReply({ embeds, components });
+    } catch (error) {
+        log.error({ err: error, category }, 'Error executing catalog command');
+        await interaction.editReply({
+            content: `❌ An error occurred while fetching ${categoryInfo.noun} information.`
+        });
+    }
+}
+
+/**
+ * Handle catalog menu components ("catalog:<category>:<action>:...").
+ * The user who opened a menu navigates it in place; anyone else gets a private copy,
+ * which they in turn own.
+ * @param {ButtonInteraction|StringSelectMenuInteraction} interaction - Component interaction
+ * @param {string[]} args - [category, action, ...action args]
+ */
+export async function handleCatalogComponent(interaction, [category, action, ...rest]) {
+    if (!CATEGORY_INFO[category]) return;
+
+    const ownerId = interaction.message.interactionMetadata?.user?.id;
+    const isOwner = !ownerId || ownerId === interaction.user.id;
+    const respond = (message) => (isOwner
+        ? interaction.update({ content: null, ...message })
+        : interaction.reply({ ...message, flags: MessageFlags.Ephemeral }));
+
+    if (action === 'page') {
+        const [page, platform, feature] = rest;
+        const filters = { platform: platform || null, feature: feature || null };
+        const items = await loadCategoryItems(category, filters);
+
+        if (items.length === 0) {
+            await respond({ content: `❌ No ${CATEGORY_INFO[category].plural} available.`, embeds: [], components: [] });
+            return;
+        }
+
+        const { embeds, components } = buildCatalogPage(items, category, Number(page) || 0, filters);
+        await respond({ embeds, components });
+    } else if (action === 'select') {
+        const [platform, feature] = rest;
+        const filters = { platform: platform || null, feature: feature || null };
+        const items = await loadCategoryItems(category, filters);
+        const selectedItem = items.find(item => item.id === interaction.values[0]);
+
+        if (!selectedItem) {
+            await interaction.reply({
+                content: `❌ That ${CATEGORY_INFO[category].noun} is no longer listed. Use \`${CATEGORY_INFO[category].command}\` to browse again.`,
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        // Return to the page the project is on
+        const page = Math.floor(sortByFeatured(items).findIndex(item => item.id === selectedItem.id) / DISCORD_SELECT_MENU_LIMIT);
+        await respond(buildProjectView(selectedItem, category, page, filters));
+    }
+}
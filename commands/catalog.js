@@ -0,0 +1,486 @@
+import {
+    SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType, MessageFlags, AttachmentBuilder, ChannelType
+} from 'discord.js';
+import { CATEGORY_INFO, PLATFORMS, FEATURES, PRICES, RELEASE_TRACKS, MENU_IDLE_TIMEOUT } from '../config.js';
+import { createProjectEmbed } from '../embedHelper.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { sanitizeString } from '../utils/sanitize.js';
+import { isModerator, MODERATOR_PERMISSION } from '../utils/permissions.js';
+import { validateUrl } from '../utils/validators/url.js';
+import { buildProjectModal, parseProjectModal, PROJECT_FORM_FIELDS } from '../projectModal.js';
+import { importManifest, getConfiguredSources } from '../manifestImporter.js';
+import { exportCatalog, EXPORT_FORMATS } from '../catalogExporter.js';
+import {
+    loadCatalog, searchProjects, toAutocompleteChoices, resolveProjectExact,
+    addProject, updateProject, removeProject, slugify
+} from '../catalogManager.js';
+
+// How long moderators have to fill in a modal
+const MODAL_TIMEOUT = 10 * 60 * 1000;
+
+// Commands that change a project never guess it from a fuzzy match
+const PROJECT_NOT_FOUND = '❌ Project not found. Pick it from the suggestions, or enter its exact name or ID.';
+
+const categoryChoices = Object.entries(CATEGORY_INFO).map(([value, info]) => ({ name: info.name, value }));
+const exportChoices = Object.entries(EXPORT_FORMATS).map(([value, format]) => ({ name: format.label, value }));
+
+/**
+ * Format validation errors for an ephemeral reply
+ * @param {string[]} errors - Error messages
+ * @returns {string}
+ */
+function formatErrors(errors) {
+    return `❌ Could not save the project:\n${errors.slice(0, 10).map(error => `• ${error}`).join('\n')}`;
+}
+
+/**
+ * Show a project modal and wait for the moderator to submit it
+ * @param {CommandInteraction} interaction - Slash command interaction
+ * @param {ModalBuilder} modal - Modal to show
+ * @returns {Promise<ModalSubmitInteraction|null>} Submitted modal, or null on timeout
+ */
+async function promptModal(interaction, modal) {
+    await interaction.showModal(modal);
+    try {
+        return await interaction.awaitModalSubmit({
+            filter: (i) => i.customId === modal.data.custom_id && i.user.id === interaction.user.id,
+            time: MODAL_TIMEOUT
+        });
+    } catch {
+        // Modal was dismissed or timed out - Discord shows nothing to reply to
+        return null;
+    }
+}
+
+async function handleAdd(interaction) {
+    const category = interaction.options.getString('category');
+    const statusUrl = interaction.options.getString('status_url');
+    const categoryInfo = CATEGORY_INFO[category];
+
+    const modal = buildProjectModal(`catalog_add_${interaction.id}`, `Add ${categoryInfo.singular}`);
+    const submitted = await promptModal(interaction, modal);
+    if (!submitted) return;
+
+    const name = submitted.fields.getTextInputValue('name');
+    const parsed = parseProjectModal(submitted, { id: slugify(name), statusUrl });
+    if (!parsed.valid) {
+        await submitted.reply({ content: formatErrors(parsed.errors), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    if (!parsed.project.id) {
+        await submitted.reply({ content: formatErrors(['Name must contain letters or numbers']), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const result = await addProject(category, parsed.project);
+    if (!result.success) {
+        await submitted.reply({ content: formatErrors(result.errors), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    log.info({ userId: interaction.user.id, category, id: parsed.project.id }, 'Catalog project added');
+    await submitted.reply({
+        content: `✅ Added **${parsed.project.name}** to ${categoryInfo.name}.`,
+        embeds: [createProjectEmbed(parsed.project, category)],
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+async function handleEdit(interaction) {
+    const data = await loadCatalog();
+    const project = resolveProjectExact(data, interaction.options.getString('project'));
+    if (!project) {
+        await interaction.reply({ content: PROJECT_NOT_FOUND, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const { item, category } = project;
+    const statusOption = interaction.options.getString('status_url');
+    const statusUrl = statusOption === null
+        ? item.statusUrl
+        : (statusOption.toLowerCase() === 'none' ? undefined : statusOption);
+
+    const modal = buildProjectModal(`catalog_edit_${interaction.id}`, `Edit ${item.name}`.substring(0, 45), item);
+    const submitted = await promptModal(interaction, modal);
+    if (!submitted) return;
+
+    const parsed = parseProjectModal(submitted, { id: item.id, statusUrl });
+    if (!parsed.valid) {
+        await submitted.reply({ content: formatErrors(parsed.errors), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const changes = Object.fromEntries(PROJECT_FORM_FIELDS.map(field => [field, parsed.project[field]]));
+    const result = await updateProject(category, item.id, changes);
+    if (!result.success) {
+        await submitted.reply({ content: formatErrors(result.errors), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    log.info({ userId: interaction.user.id, category, id: item.id }, 'Catalog project updated');
+    await submitted.reply({
+        content: `✅ Updated **${parsed.project.name}**.`,
+        embeds: [createProjectEmbed({ ...item, ...parsed.project }, category)],
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+/**
+ * Parse a comma-separated list of tag keys ("none" clears the list)
+ * @param {string} text - Raw option value
+ * @returns {string[]}
+ */
+function parseTagList(text) {
+    if (text.trim().toLowerCase() === 'none') return [];
+    return [...new Set(text.split(/[,\s]+/).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+async function handleTags(interaction) {
+    const data = await loadCatalog();
+    const project = resolveProjectExact(data, interaction.options.getString('project'));
+    if (!project) {
+        await interaction.reply({ content: PROJECT_NOT_FOUND, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const { item, category } = project;
+    const tags = { ...(item.tags || {}) };
+    const platforms = interaction.options.getString('platforms');
+    const features = interaction.options.getString('features');
+    const license = interaction.options.getString('license');
+    const price = interaction.options.getString('price');
+
+    if (platforms !== null) tags.platforms = parseTagList(platforms);
+    if (features !== null) tags.features = parseTagList(features);
+    if (license !== null) tags.license = sanitizeString(license, { maxLength: 50, allowNewlines: false, allowMarkdown: false });
+    if (price !== null) tags.price = price;
+
+    // Drop cleared values so data.json stays tidy
+    for (const [key, value] of Object.entries(tags)) {
+        if (value === 'none' || value === '' || (Array.isArray(value) && value.length === 0)) delete tags[key];
+    }
+
+    const result = await updateProject(category, item.id, { tags: Object.keys(tags).length > 0 ? tags : undefined });
+    if (!result.success) {
+        await interaction.reply({
+            content: `${formatErrors(result.errors)}\n\nPlatforms: \`${Object.keys(PLATFORMS).join(', ')}\`\nFeatures: \`${Object.keys(FEATURES).join(', ')}\``,
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+
+    log.info({ userId: interaction.user.id, category, id: item.id, tags }, 'Catalog project tags updated');
+    await interaction.reply({
+        content: `✅ Updated tags for **${item.name}**.`,
+        embeds: [createProjectEmbed({ ...item, tags }, category)],
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+async function handleCompat(interaction) {
+    const data = await loadCatalog();
+    const project = resolveProjectExact(data, interaction.options.getString('project'));
+    if (!project) {
+        await interaction.reply({ content: PROJECT_NOT_FOUND, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const { item, category } = project;
+    const range = interaction.options.getString('server_range').trim();
+    const compatibility = range.toLowerCase() === 'none' ? undefined : { ...item.compatibility, server: range };
+
+    const result = await updateProject(category, item.id, { compatibility });
+    if (!result.success) {
+        await interaction.reply({
+            content: `${formatErrors(result.errors)}\n\nExamples: \`10.10.x\`, \`>=10.9.0 <10.11.0\`, \`10.9.x || 10.10.x\``,
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+
+    log.info({ userId: interaction.user.id, category, id: item.id, compatibility }, 'Catalog project compatibility updated');
+    await interaction.reply({
+        content: compatibility
+            ? `✅ **${item.name}** now lists Jellyfin \`${range}\` as compatible.`
+            : `✅ Removed compatibility information from **${item.name}**.`,
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+async function handleReleases(interaction) {
+    const data = await loadCatalog();
+    const project = resolveProjectExact(data, interaction.options.getString('project'));
+    if (!project) {
+        await interaction.reply({ content: PROJECT_NOT_FOUND, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const { item, category } = project;
+    const track = interaction.options.getString('track');
+    const stableChannel = interaction.options.getChannel('stable_channel');
+    const prereleaseChannel = interaction.options.getChannel('prerelease_channel');
+
+    const releaseTracking = { track };
+    if (stableChannel) releaseTracking.stableChannelId = stableChannel.id;
+    if (prereleaseChannel) releaseTracking.prereleaseChannelId = prereleaseChannel.id;
+
+    // Stable releases in the default channel need no settings
+    const isDefault = track === 'stable' && !stableChannel && !prereleaseChannel;
+    const result = await updateProject(category, item.id, { releaseTracking: isDefault ? undefined : releaseTracking });
+    if (!result.success) {
+        await interaction.reply({ content: formatErrors(result.errors), flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const channels = [];
+    if (stableChannel) channels.push(`stable releases in <#${stableChannel.id}>`);
+    if (prereleaseChannel) channels.push(`pre-releases in <#${prereleaseChannel.id}>`);
+
+    log.info({ userId: interaction.user.id, category, id: item.id, releaseTracking }, 'Catalog project release tracking updated');
+    await interaction.reply({
+        content: `✅ **${item.name}** now announces ${RELEASE_TRACKS[track].toLowerCase()}${channels.length > 0 ? ` (${channels.join(', ')})` : ''}.`,
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+async function handleImport(interaction) {
+    const url = interaction.options.getString('url');
+
+    // Local manifest files can only be configured through PLUGIN_MANIFESTS, never from Discord
+    if (url && !validateUrl(url, { allowedProtocols: ['https:'] })) {
+        await interaction.reply({ content: '❌ Please provide a valid https manifest URL.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const sources = url ? [url.trim()] : getConfiguredSources();
+    if (sources.length === 0) {
+        await interaction.reply({
+            content: '❌ No manifest URL given and `PLUGIN_MANIFESTS` is not configured.',
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const lines = [];
+    for (const source of sources) {
+        const result = await importManifest(source);
+        const label = `\`${source}\``;
+        lines.push(result.success
+            ? `✅ ${label}: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged${result.skipped ? `, ${result.skipped} skipped` : ''}`
+            : `❌ ${label}: ${result.errors.slice(0, 3).join(', ')}`);
+    }
+
+    log.info({ userId: interaction.user.id, sources: sources.length }, 'Plugin manifests imported from command');
+    await interaction.editReply({ content: lines.join('\n') });
+}
+
+async function handleExport(interaction) {
+    const format = interaction.options.getString('format');
+    const { content, filename } = exportCatalog(await loadCatalog(), format);
+
+    await interaction.reply({
+        content: `📤 Catalog exported as ${EXPORT_FORMATS[format].label}.`,
+        files: [new AttachmentBuilder(Buffer.from(content, 'utf8'), { name: filename })],
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+async function handleRemove(interaction) {
+    const data = await loadCatalog();
+    const project = resolveProjectExact(data, interaction.options.getString('project'));
+    if (!project) {
+        await interaction.reply({ content: PROJECT_NOT_FOUND, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const { item, category } = project;
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId('catalog_remove_confirm')
+            .setLabel('Remove')
+            .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+            .setCustomId('catalog_remove_cancel')
+            .setLabel('Cancel')
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    const response = await interaction.reply({
+        content: `⚠️ Remove **${item.name}** from ${CATEGORY_INFO[category].name}? This cannot be undone.`,
+        components: [row],
+        flags: MessageFlags.Ephemeral,
+        withResponse: true
+    });
+
+    let confirmation;
+    try {
+        confirmation = await response.resource.message.awaitMessageComponent({
+            filter: (i) => i.user.id === interaction.user.id,
+            componentType: ComponentType.Button,
+            time: MENU_IDLE_TIMEOUT
+        });
+    } catch {
+        await interaction.editReply({ content: '⏰ Removal timed out.', components: [] });
+        return;
+    }
+
+    if (confirmation.customId !== 'catalog_remove_confirm') {
+        await confirmation.update({ content: 'Removal cancelled.', components: [] });
+        return;
+    }
+
+    const result = await removeProject(category, item.id);
+    if (!result.success) {
+        await confirmation.update({ content: formatErrors(result.errors), components: [] });
+        return;
+    }
+
+    log.info({ userId: interaction.user.id, category, id: item.id }, 'Catalog project removed');
+    await confirmation.update({ content: `🗑️ Removed **${item.name}**.`, components: [] });
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('catalog')
+        .setDescription('Manage the community project catalog (moderators only)')
+        .setDefaultMemberPermissions(MODERATOR_PERMISSION)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Add a project to the catalog')
+                .addStringOption(option =>
+                    option.setName('category')
+                        .setDescription('Catalog category')
+                        .setRequired(true)
+                        .addChoices(...categoryChoices))
+                .addStringOption(option =>
+                    option.setName('status_url')
+                        .setDescription('Status page URL (services)')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('edit')
+                .setDescription('Edit a catalog project')
+                .addStringOption(option =>
+                    option.setName('project')
+                        .setDescription('Project to edit')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('status_url')
+                        .setDescription('New status page URL, or "none" to remove it')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('tags')
+                .setDescription('Set platform, feature, license, and price tags')
+                .addStringOption(option =>
+                    option.setName('project')
+                        .setDescription('Project to tag')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('platforms')
+                        .setDescription('Comma-separated, e.g. "android, android-tv" ("none" to clear)'))
+                .addStringOption(option =>
+                    option.setName('features')
+                        .setDescription('Comma-separated, e.g. "offline-sync, chromecast" ("none" to clear)'))
+                .addStringOption(option =>
+                    option.setName('license')
+                        .setDescription('SPDX license, e.g. "MPL-2.0" ("none" to clear)'))
+                .addStringOption(option =>
+                    option.setName('price')
+                        .setDescription('Pricing model')
+                        .addChoices(
+                            ...Object.entries(PRICES).map(([value, name]) => ({ name, value })),
+                            { name: 'Not specified', value: 'none' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand.setName('compat')
+                .setDescription('Set which Jellyfin server versions a project supports')
+                .addStringOption(option =>
+                    option.setName('project')
+                        .setDescription('Project to update')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('server_range')
+                        .setDescription('Version range, e.g. ">=10.9.0 <10.11.0" or "10.10.x" ("none" to clear)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('releases')
+                .setDescription('Choose which releases of a project are announced, and where')
+                .addStringOption(option =>
+                    option.setName('project')
+                        .setDescription('Project to update')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('track')
+                        .setDescription('Releases to announce')
+                        .setRequired(true)
+                        .addChoices(...Object.entries(RELEASE_TRACKS).map(([value, name]) => ({ name, value }))))
+                .addChannelOption(option =>
+                    option.setName('stable_channel')
+                        .setDescription('Channel for stable releases (defaults to the update channel)')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+                .addChannelOption(option =>
+                    option.setName('prerelease_channel')
+                        .setDescription('Channel for pre-releases (defaults to the pre-release or update channel)')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('import')
+                .setDescription('Import plugins from Jellyfin plugin repository manifests')
+                .addStringOption(option =>
+                    option.setName('url')
+                        .setDescription('Manifest URL (defaults to the configured manifests)')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('export')
+                .setDescription('Export the catalog as a Markdown awesome-list, JSON Feed, or CSV file')
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('Export format')
+                        .setRequired(true)
+                        .addChoices(...exportChoices)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Remove a project from the catalog')
+                .addStringOption(option =>
+                    option.setName('project')
+                        .setDescription('Project to remove')
+                        .setRequired(true)
+                        .setAutocomplete(true))),
+
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        const data = await loadCatalog();
+        await interaction.respond(toAutocompleteChoices(searchProjects(data, query)));
+    },
+
+    async execute(interaction) {
+        if (!isModerator(interaction)) {
+            await interaction.reply({
+                content: '❌ Only moderators can manage the catalog.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'add') {
+            await handleAdd(interaction);
+        } else if (subcommand === 'edit') {
+            await handleEdit(interaction);
+        } else if (subcommand === 'tags') {
+            await handleTags(interaction);
+        } else if (subcommand === 'compat') {
+            await handleCompat(interaction);
+        } else if (subcommand === 'releases') {
+            await handleReleases(interaction);
+        } else if (subcommand === 'import') {
+            await handleImport(interaction);
+        } else if (subcommand === 'export') {
+            await handleExport(interaction);
+        } else if (subcommand === 'remove') {
+            await handleRemove(interaction);
+        }
+    }
+};
@@ -0,0 +1,157 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { CATEGORY_INFO, PLATFORMS, DEFAULT_FEATURED_NOTE, isFeaturedProject } from '../config.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { truncate, sanitize, sanitizeUrl, EMBED_LIMITS } from '../utils/safeEmbed.js';
+import { loadCatalog, searchProjects, toAutocompleteChoices, resolveProject, projectRef, getHealthFlag } from '../catalogManager.js';
+
+// Discord renders at most three inline fields per row
+const COLUMNS = 3;
+
+// Zero-width space for empty field names
+const BLANK = '\u200b';
+
+/**
+ * Rows of the comparison, each rendering one value per project
+ */
+const ROWS = [
+    {
+        label: '⭐ Featured',
+        value: (item) => (isFeaturedProject(item) ? `Yes — ${sanitize(item.featured.note || DEFAULT_FEATURED_NOTE)}` : 'No')
+    },
+    {
+        label: '📦 Latest Release',
+        value: (item) => {
+            if (!item.lastRelease?.tag) return 'No releases tracked';
+            const releaseUrl = sanitizeUrl(item.lastRelease.url);
+            const tag = sanitize(item.lastRelease.tag);
+            const date = item.lastRelease.published_at ? `\n${new Date(item.lastRelease.published_at).toLocaleDateString()}` : '';
+            return `${releaseUrl ? `[${tag}](${releaseUrl})` : tag}${date}`;
+        }
+    },
+    {
+        label: '👥 Developers',
+        value: (item) => (item.developers || [])
+            .map(dev => sanitize(typeof dev === 'string' ? dev : dev.name || 'Unknown'))
+            .join(', ') || 'Unknown'
+    },
+    {
+        label: '📊 Repo Activity',
+        value: (item) => {
+            if (!item.health) return 'Not checked yet';
+            const flag = getHealthFlag(item);
+            const lines = [`⭐ ${item.health.stars ?? 0} · 🐛 ${item.health.openIssues ?? 0}`];
+            if (item.health.lastCommit) lines.push(`Last commit ${new Date(item.health.lastCommit).toLocaleDateString()}`);
+            if (flag) lines.push(flag === 'archived' ? '⚠️ Archived' : '⚠️ Inactive');
+            return lines.join('\n');
+        }
+    },
+    {
+        label: '📱 Platforms',
+        value: (item) => (item.tags?.platforms || []).map(p => PLATFORMS[p] || sanitize(p)).join(', ') || 'Not listed'
+    }
+];
+
+/**
+ * Build one row of inline fields, padded to a full row so columns line up
+ * @param {string} label - Row label, shown above the first column
+ * @param {string[]} values - One value per project
+ * @returns {Array<{ name: string, value: string, inline: boolean }>}
+ */
+function buildRow(label, values) {
+    const fields = values.map((value, index) => ({
+        name: index === 0 ? label : BLANK,
+        value: truncate(value || BLANK, EMBED_LIMITS.FIELD_VALUE),
+        inline: true
+    }));
+
+    while (fields.length < COLUMNS) {
+        fields.push({ name: BLANK, value: BLANK, inline: true });
+    }
+
+    return fields;
+}
+
+/**
+ * Build the comparison embed for two or three projects
+ * @param {Array<{ item: Object, category: string }>} projects - Projects to compare
+ * @returns {EmbedBuilder}
+ */
+function createComparisonEmbed(projects) {
+    const header = projects.map(({ item, category }) => {
+        const repoUrl = sanitizeUrl(item.repo);
+        const name = sanitize(item.name);
+        return `**${repoUrl ? `[${name}](${repoUrl})` : name}**\n${CATEGORY_INFO[category].singular}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle(truncate(`⚖️ ${projects.map(({ item }) => sanitize(item.name)).join(' vs ')}`, EMBED_LIMITS.TITLE))
+        .addFields(buildRow('📁 Project', header))
+        .setFooter({ text: 'Use /project to see full details of each project' });
+
+    for (const row of ROWS) {
+        embed.addFields(buildRow(row.label, projects.map(({ item }) => row.value(item))));
+    }
+
+    return embed;
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('compare')
+        .setDescription('Compare two or three community projects side by side')
+        .addStringOption(option =>
+            option.setName('first')
+                .setDescription('First project')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('second')
+                .setDescription('Second project')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('third')
+                .setDescription('Third project (optional)')
+                .setAutocomplete(true)),
+
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        const data = await loadCatalog();
+        await interaction.respond(toAutocompleteChoices(searchProjects(data, query)));
+    },
+
+    async execute(interaction) {
+        const values = ['first', 'second', 'third']
+            .map(name => interaction.options.getString(name))
+            .filter(Boolean);
+
+        try {
+            const data = await loadCatalog();
+            const projects = [];
+
+            for (const value of values) {
+                const project = resolveProject(data, value);
+                if (!project) {
+                    await interaction.reply({ content: `❌ No project found for "${sanitize(value)}".`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                projects.push(project);
+            }
+
+            const refs = new Set(projects.map(({ item, category }) => projectRef(category, item.id)));
+            if (refs.size !== projects.length) {
+                await interaction.reply({ content: '❌ Please pick different projects to compare.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            await interaction.reply({ embeds: [createComparisonEmbed(projects)] });
+        } catch (error) {
+            log.error({ err: error, values }, 'Error executing compare command');
+            await interaction.reply({
+                content: '❌ An error occurred while comparing those projects.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    }
+};
@@ -0,0 +1,93 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { CATEGORY_INFO, isFeaturedProject, sortByFeatured } from '../config.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { parseVersion, formatVersion } from '../utils/semver.js';
+import { truncate, sanitize, EMBED_LIMITS } from '../utils/safeEmbed.js';
+import { loadCatalog, isCompatibleWith, findCompatibleVersion } from '../catalogManager.js';
+
+// Categories whose projects depend on a specific server version
+const COMPAT_CATEGORIES = ['clients', 'plugins'];
+
+/**
+ * Describe why a project is compatible: its declared range, or the matching imported plugin version
+ * @param {Object} item - Compatible project item
+ * @param {string} version - Server version
+ * @returns {string}
+ */
+function describeMatch(item, version) {
+    if (item.compatibility?.server) return `\`${sanitize(item.compatibility.server)}\``;
+    return `v${sanitize(findCompatibleVersion(item, version).version)}`;
+}
+
+/**
+ * Format compatible projects as a field value
+ * @param {Array} items - Compatible project items
+ * @param {string} version - Server version
+ * @returns {string}
+ */
+function formatProjects(items, version) {
+    return truncate(
+        sortByFeatured(items)
+            .map(item => `${isFeaturedProject(item) ? '⭐ ' : '• '}**${sanitize(item.name)}** ${describeMatch(item, version)}`)
+            .join('\n'),
+        EMBED_LIMITS.FIELD_VALUE
+    );
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('compat')
+        .setDescription('List clients and plugins that support a Jellyfin server version')
+        .addStringOption(option =>
+            option.setName('server_version')
+                .setDescription('Your Jellyfin server version, e.g. 10.10.7')
+                .setRequired(true)),
+
+    async execute(interaction) {
+        const input = interaction.options.getString('server_version');
+        const parsed = parseVersion(input);
+
+        if (!parsed) {
+            await interaction.reply({
+                content: '❌ That does not look like a Jellyfin version. Use a format like `10.10.7` or `10.10.0.0`.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        try {
+            const data = await loadCatalog();
+            const version = formatVersion(parsed);
+
+            const embed = new EmbedBuilder()
+                .setColor(0xAA5CC3)
+                .setTitle(`🧩 Compatible with Jellyfin ${version}`)
+                .setFooter({ text: 'Based on catalog compatibility ranges and plugin manifest target versions' });
+
+            let unknownCount = 0;
+            for (const category of COMPAT_CATEGORIES) {
+                const items = data[CATEGORY_INFO[category].dataKey] || [];
+                const compatible = items.filter(item => isCompatibleWith(item, version) === true);
+                unknownCount += items.filter(item => isCompatibleWith(item, version) === null).length;
+
+                embed.addFields({
+                    name: `${CATEGORY_INFO[category].name} (${compatible.length})`,
+                    value: compatible.length > 0 ? formatProjects(compatible, version) : 'None listed',
+                    inline: false
+                });
+            }
+
+            if (unknownCount > 0) {
+                embed.setDescription(`${unknownCount} project(s) have no compatibility information yet and are not listed.`);
+            }
+
+            await interaction.reply({ embeds: [embed] });
+        } catch (error) {
+            log.error({ err: error, version: input }, 'Error executing compat command');
+            await interaction.reply({
+                content: '❌ An error occurred while checking compatibility.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    }
+};
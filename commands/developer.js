@@ -0,0 +1,120 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { CATEGORY_INFO, isFeaturedProject, sortByFeatured } from '../config.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { truncate, sanitize, sanitizeUrl, EMBED_LIMITS } from '../utils/safeEmbed.js';
+import { loadCatalog } from '../catalogManager.js';
+import { findDeveloperByButtonKey, searchDevelopers, resolveDeveloper } from '../developerDirectory.js';
+
+/**
+ * Format one project of a developer, with its latest release
+ * @param {Object} item - Project item
+ * @returns {string}
+ */
+function formatProject(item) {
+    const repoUrl = sanitizeUrl(item.repo);
+    const name = sanitize(item.name);
+    let line = `${isFeaturedProject(item) ? '⭐' : '•'} ${repoUrl ? `[${name}](${repoUrl})` : `**${name}**`}`;
+
+    if (item.lastRelease?.tag) {
+        const releaseUrl = sanitizeUrl(item.lastRelease.url);
+        const tag = sanitize(item.lastRelease.tag);
+        const date = item.lastRelease.published_at ? ` (${new Date(item.lastRelease.published_at).toLocaleDateString()})` : '';
+        line += ` — 📦 ${releaseUrl ? `[${tag}](${releaseUrl})` : tag}${date}`;
+    }
+
+    return line;
+}
+
+/**
+ * Build the profile embed for a developer
+ * @param {Object} developer - Developer profile from developerDirectory
+ * @returns {EmbedBuilder}
+ */
+function createDeveloperEmbed(developer) {
+    const link = sanitizeUrl(developer.link);
+    const embed = new EmbedBuilder()
+        .setColor(developer.projects.some(({ item }) => isFeaturedProject(item)) ? 0xFFD700 : 0x5865F2)
+        .setTitle(truncate(`👤 ${sanitize(developer.name)}`, EMBED_LIMITS.TITLE))
+        .setURL(link)
+        .setFooter({ text: `${developer.projects.length} community project${developer.projects.length === 1 ? '' : 's'}` });
+
+    const details = [];
+    if (link) details.push(`🔗 [${link.includes('github.com') ? 'GitHub profile' : 'Website'}](${link})`);
+    if (developer.discordUsername) details.push(`💬 Discord: ${sanitize(developer.discordUsername)}`);
+    if (details.length > 0) embed.setDescription(details.join('\n'));
+
+    for (const [category, info] of Object.entries(CATEGORY_INFO)) {
+        const items = developer.projects.filter(project => project.category === category).map(project => project.item);
+        if (items.length === 0) continue;
+
+        embed.addFields({
+            name: info.name,
+            value: truncate(sortByFeatured(items).map(formatProject).join('\n'), EMBED_LIMITS.FIELD_VALUE),
+            inline: false
+        });
+    }
+
+    if (developer.discordChannels.length > 0) {
+        embed.addFields({
+            name: '💬 Discord Channel',
+            value: truncate(developer.discordChannels.map(id => `<#${sanitize(id)}>`).join(', '), EMBED_LIMITS.FIELD_VALUE),
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('developer')
+        .setDescription('Show everything a community developer maintains')
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Developer name or GitHub username')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        const data = await loadCatalog();
+        await interaction.respond(searchDevelopers(data, query).map(dev => ({
+            name: truncate(`${dev.name} (${dev.projects.length} project${dev.projects.length === 1 ? '' : 's'})`, 100),
+            value: dev.key
+        })));
+    },
+
+    async execute(interaction) {
+        const value = interaction.options.getString('name');
+
+        try {
+            const developer = resolveDeveloper(await loadCatalog(), value);
+            if (!developer) {
+                await interaction.reply({ content: '❌ No matching developer found.', flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            await interaction.reply({ embeds: [createDeveloperEmbed(developer)] });
+        } catch (error) {
+            log.error({ err: error, query: value }, 'Error executing developer command');
+            await interaction.reply({
+                content: '❌ An error occurred while looking up that developer.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    },
+
+    // Profile buttons under project embeds ("developer:show:<key from developerButtonKey()>")
+    async handleComponent(interaction, args) {
+        const [action, key] = args;
+        if (action !== 'show') return;
+
+        const developer = findDeveloperByButtonKey(await loadCatalog(), key);
+        if (!developer) {
+            await interaction.reply({ content: '❌ This developer is no longer listed in the catalog.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.reply({ embeds: [createDeveloperEmbed(developer)], flags: MessageFlags.Ephemeral });
+    }
+};
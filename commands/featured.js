@@ -0,0 +1,181 @@
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { COLORS, CATEGORY_INFO, DEFAULT_FEATURED_NOTE, isFeaturedProject, parseFeaturedDate } from '../config.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { isModerator } from '../utils/permissions.js';
+import { sanitizeString } from '../utils/sanitize.js';
+import { truncate, sanitize, EMBED_LIMITS } from '../utils/safeEmbed.js';
+import { loadCatalog, listProjects, searchProjects, toAutocompleteChoices, resolveProjectExact, updateProject } from '../catalogManager.js';
+
+/**
+ * Describe a project's featured window, e.g. "from 2026-01-01 until 2026-02-01"
+ * @param {Object} featured - Featured entry
+ * @returns {string}
+ */
+function describeWindow(featured) {
+    const parts = [];
+    if (featured.start) parts.push(`from ${featured.start}`);
+    if (featured.end) parts.push(`until ${featured.end}`);
+    return parts.join(' ');
+}
+
+/**
+ * Format one featured project as a list line
+ * @param {{ item: Object, category: string }} project - Project with category
+ * @returns {string}
+ */
+function formatLine({ item, category }) {
+    const window = describeWindow(item.featured);
+    const note = sanitize(item.featured.note || DEFAULT_FEATURED_NOTE);
+    return `⭐ **${sanitize(item.name)}** (${CATEGORY_INFO[category].singular}) — ${note}${window ? ` · ${window}` : ''}`;
+}
+
+async function handleList(interaction) {
+    const data = await loadCatalog();
+    const now = Date.now();
+    const withFeatured = listProjects(data).filter(({ item }) => item.featured);
+
+    const active = withFeatured.filter(({ item }) => isFeaturedProject(item, now));
+    const scheduled = withFeatured.filter(({ item }) => (parseFeaturedDate(item.featured.start) ?? 0) > now);
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.featured)
+        .setTitle('⭐ Featured Projects')
+        .setDescription(active.length > 0
+            ? truncate(active.map(formatLine).join('\n'), EMBED_LIMITS.DESCRIPTION)
+            : 'No projects are featured right now.');
+
+    if (scheduled.length > 0) {
+        embed.addFields({
+            name: '🗓️ Scheduled',
+            value: truncate(scheduled.map(formatLine).join('\n'), EMBED_LIMITS.FIELD_VALUE),
+            inline: false
+        });
+    }
+
+    await interaction.reply({ embeds: [embed] });
+}
+
+async function handleAdd(interaction) {
+    const data = await loadCatalog();
+    const project = resolveProjectExact(data, interaction.options.getString('project'));
+    if (!project) {
+        await interaction.reply({
+            content: '❌ Project not found. Pick it from the suggestions, or enter its exact name or ID.',
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+
+    const featured = {};
+    const start = interaction.options.getString('start');
+    const end = interaction.options.getString('end');
+    const note = sanitizeString(interaction.options.getString('note'), { maxLength: 200, allowNewlines: false });
+
+    if (start) featured.start = start.trim();
+    if (end) featured.end = end.trim();
+    if (note) featured.note = note;
+
+    const role = interaction.options.getRole('role');
+    if (role) featured.roleId = role.id;
+
+    const result = await updateProject(project.category, project.item.id, { featured });
+    if (!result.success) {
+        await interaction.reply({
+            content: `❌ Could not feature the project:\n${result.errors.slice(0, 5).map(error => `• ${error}`).join('\n')}\nDates use the format YYYY-MM-DD.`,
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+
+    log.info({ userId: interaction.user.id, id: project.item.id, featured }, 'Project featured');
+    const window = describeWindow(featured);
+    await interaction.reply({
+        content: `⭐ **${project.item.name}** is now featured${window ? ` ${window}` : ''}.`,
+        flags: MessageFlags.Ephemeral
+    });
+}
+
+async function handleRemove(interaction) {
+    const data = await loadCatalog();
+    const project = resolveProjectExact(data, interaction.options.getString('project'));
+    if (!project || !project.item.featured) {
+        await interaction.reply({ content: '❌ That project is not featured.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    const result = await updateProject(project.category, project.item.id, { featured: undefined });
+    if (!result.success) {
+        await interaction.reply({ content: `❌ ${result.errors.join(', ')}`, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    log.info({ userId: interaction.user.id, id: project.item.id }, 'Project unfeatured');
+    await interaction.reply({ content: `Removed **${project.item.name}** from the featured projects.`, flags: MessageFlags.Ephemeral });
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('featured')
+        .setDescription('Show or manage featured community projects')
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List featured projects'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Feature a project (moderators only)')
+                .addStringOption(option =>
+                    option.setName('project')
+                        .setDescription('Project to feature')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('note')
+                        .setDescription('Why the project is featured')
+                        .setMaxLength(200))
+                .addStringOption(option =>
+                    option.setName('start')
+                        .setDescription('First featured day (YYYY-MM-DD)'))
+                .addStringOption(option =>
+                    option.setName('end')
+                        .setDescription('Last featured day (YYYY-MM-DD)'))
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role mentioned on its releases while featured, offered in /rolepicker')))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Stop featuring a project (moderators only)')
+                .addStringOption(option =>
+                    option.setName('project')
+                        .setDescription('Project to stop featuring')
+                        .setRequired(true)
+                        .setAutocomplete(true))),
+
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        const data = await loadCatalog();
+        const matches = interaction.options.getSubcommand() === 'remove'
+            ? searchProjects(data, query, Infinity).filter(({ item }) => item.featured)
+            : searchProjects(data, query);
+        await interaction.respond(toAutocompleteChoices(matches));
+    },
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'list') {
+            await handleList(interaction);
+            return;
+        }
+
+        if (!isModerator(interaction)) {
+            await interaction.reply({ content: '❌ Only moderators can manage featured projects.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (subcommand === 'add') {
+            await handleAdd(interaction);
+        } else if (subcommand === 'remove') {
+            await handleRemove(interaction);
+        }
+    }
+};
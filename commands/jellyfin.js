@@ -1,28 +1,98 @@
-import { SlashCommandBuilder, EmbedBuilder } from "discord.js";
+import { SlashCommandBuilder, EmbedBuilder, MessageFlags } from "discord.js";
+import { COLORS, OFFICIAL_PROJECTS } from "../config.js";
+import { commandLogger as log } from "../utils/logger.js";
+import { sanitize, sanitizeUrl, truncate, EMBED_LIMITS } from "../utils/safeEmbed.js";
+import { getOfficialReleases } from "../officialReleaseManager.js";
+
+const JELLYFIN_ICON_URL = "https://raw.githubusercontent.com/jellyfin/jellyfin-ux/master/branding/web/icon-transparent.png";
+
+/**
+ * Format a stored release as a link, e.g. "[v10.10.7](url)"
+ * @param {{ tag: string, url: string }} release - Stored release
+ * @returns {string}
+ */
+function formatRelease(release) {
+    const tag = sanitize(release.tag);
+    const url = sanitizeUrl(release.url);
+    return url ? `[${tag}](${url})` : tag;
+}
+
+async function handleLinks(interaction) {
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.official)
+        .setAuthor({
+            name: "Jellyfin Project",
+            iconURL: JELLYFIN_ICON_URL,
+            url: "https://jellyfin.org"
+        })
+        .setTitle("Official Channels")
+        .setDescription("Stay connected with the Jellyfin community:")
+        .addFields(
+            { name: "🌐 Website", value: "[jellyfin.org](https://jellyfin.org)", inline: true },
+            { name: "🗨️ Forums", value: "[forum.jellyfin.org](https://forum.jellyfin.org)", inline: true },
+            { name: "💬 Discord", value: "[Join here](https://discord.gg/zHBxVSXdBV)", inline: true },
+            { name: "🧵 Matrix", value: "`#jellyfinorg:matrix.org`", inline: true },
+            { name: "📡 IRC", value: "`#jellyfin` on Libera.Chat", inline: true }
+        )
+        .setFooter({ text: "Powered by the community ❤️" });
+
+    await interaction.reply({ embeds: [embed] });
+}
+
+async function handleLatest(interaction) {
+    const releases = await getOfficialReleases();
+
+    // Unstable builds are only listed while they are newer than the stable release
+    const lines = OFFICIAL_PROJECTS
+        .filter(project => releases[project.id])
+        .map(project => {
+            const { lastRelease, lastPrerelease } = releases[project.id];
+            const parts = [lastRelease ? `📦 ${formatRelease(lastRelease)}` : "📦 No stable release"];
+            if (lastPrerelease && (!lastRelease || new Date(lastPrerelease.published_at) > new Date(lastRelease.published_at))) {
+                parts.push(`🧪 ${formatRelease(lastPrerelease)}`);
+            }
+            return `**${project.name}** — ${parts.join(" · ")}`;
+        });
+
+    const embed = new EmbedBuilder()
+        .setColor(COLORS.official)
+        .setAuthor({ name: "Jellyfin Project", iconURL: JELLYFIN_ICON_URL, url: "https://jellyfin.org" })
+        .setTitle("Latest Jellyfin Releases")
+        .setURL("https://jellyfin.org/downloads")
+        .setDescription(lines.length > 0
+            ? truncate(lines.join("\n"), EMBED_LIMITS.DESCRIPTION)
+            : "Release information has not been fetched yet. It is checked every hour.")
+        .setFooter({ text: "📦 Stable · 🧪 Unstable (release candidates and betas)" });
+
+    await interaction.reply({ embeds: [embed] });
+}
 
 export default {
     data: new SlashCommandBuilder()
         .setName("jellyfin")
-        .setDescription("Official Jellyfin resources."),
+        .setDescription("Official Jellyfin resources.")
+        .addSubcommand(subcommand =>
+            subcommand.setName("links")
+                .setDescription("Official Jellyfin website and community channels"))
+        .addSubcommand(subcommand =>
+            subcommand.setName("latest")
+                .setDescription("Current stable and unstable versions of Jellyfin and its official clients")),
+
     async execute(interaction) {
-        const embed = new EmbedBuilder()
-  .setColor(0xAA5CC3)
-  .setAuthor({
-    name: "Jellyfin Project",
-    iconURL: "https://raw.githubusercontent.com/jellyfin/jellyfin-ux/master/branding/web/icon-transparent.png", 
-    url: "https://jellyfin.org"
-  })
-  .setTitle("Official Channels")
-  .setDescription("Stay connected with the Jellyfin community:")
-  .addFields(
-    { name: "🌐 Website", value: "[jellyfin.org](https://jellyfin.org)", inline: true },
-    { name: "🗨️ Forums", value: "[forum.jellyfin.org](https://forum.jellyfin.org)", inline: true },
-    { name: "💬 Discord", value: "[Join here](https://discord.gg/zHBxVSXdBV)", inline: true },
-    { name: "🧵 Matrix", value: "`#jellyfinorg:matrix.org`", inline: true },
-    { name: "📡 IRC", value: "`#jellyfin` on Libera.Chat", inline: true }
-  )
-  .setFooter({ text: "Powered by the community ❤️" });
-
-        await interaction.reply({ embeds: [embed] });
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            if (subcommand === "latest") {
+                await handleLatest(interaction);
+            } else {
+                await handleLinks(interaction);
+            }
+        } catch (error) {
+            log.error({ err: error, subcommand }, "Error executing jellyfin command");
+            await interaction.reply({
+                content: "❌ An error occurred while loading Jellyfin information.",
+                flags: MessageFlags.Ephemeral
+            });
+        }
     },
-};
\ No newline at end of file
+};
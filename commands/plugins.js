@@ -1,9 +1,5 @@
-import { SlashCommandBuilder, EmbedBuilder, StringSelectMenuBuilder, ActionRowBuilder, ComponentType } from "discord.js";
-import { COLORS, CATEGORY_INFO, isFeaturedProject, sortByFeatured, DISCORD_SELECT_MENU_LIMIT } from '../config.js';
-import { createProjectEmbed } from '../embedHelper.js';
-import { commandLogger as log } from '../utils/logger.js';
-import { readJsonWithRecovery } from '../utils/atomicJson.js';
-import { DATA_FILE } from '../utils/paths.js';
+import { SlashCommandBuilder } from "discord.js";
+import { showCatalogMenu } from '../catalogMenu.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -11,103 +7,6 @@ export default {
         .setDescription("Browse Jellyfin plugins with an interactive menu"),
 
     async execute(interaction) {
-        // Defer to prevent timeout during file I/O
-        await interaction.deferReply();
-
-        try {
-            const jsonData = await readJsonWithRecovery(DATA_FILE, { plugins: [] });
-
-            if (!jsonData.plugins || jsonData.plugins.length === 0) {
-                await interaction.editReply({
-                    content: "❌ No plugins available."
-                });
-                return;
-            }
-
-            const sortedPlugins = sortByFeatured(jsonData.plugins);
-            const categoryInfo = CATEGORY_INFO.plugins;
-
-            const options = sortedPlugins.slice(0, DISCORD_SELECT_MENU_LIMIT).map(plugin => {
-                const isFeatured = isFeaturedProject(plugin);
-                return {
-                    label: `${isFeatured ? '⭐ ' : ''}${plugin.name.substring(0, 97)}`,
-                    description: plugin.description ? plugin.description.substring(0, 100) : 'No description available',
-                    value: plugin.id
-                };
-            });
-
-            const selectMenu = new StringSelectMenuBuilder()
-                .setCustomId('plugin_select')
-                .setPlaceholder('Choose a plugin to view details...')
-                .addOptions(options);
-
-            const row = new ActionRowBuilder().addComponents(selectMenu);
-
-            const embed = new EmbedBuilder()
-                .setColor(COLORS.plugins)
-                .setAuthor({
-                    name: categoryInfo.name,
-                    iconURL: categoryInfo.iconURL,
-                    url: categoryInfo.url
-                })
-                .setTitle("Available Plugins")
-                .setDescription("⭐ = Community developers on this server\n\nSelect a plugin from the dropdown menu below to view detailed information.")
-                .setFooter({ text: `${jsonData.plugins.length} plugins available` });
-
-            const response = await interaction.editReply({
-                embeds: [embed],
-                components: [row]
-            });
-
-            const filter = (i) => i.customId === 'plugin_select' && i.user.id === interaction.user.id;
-
-            try {
-                const confirmation = await response.awaitMessageComponent({
-                    filter,
-                    componentType: ComponentType.StringSelect,
-                    time: 60_000
-                });
-
-                const selectedPluginId = confirmation.values[0];
-                const selectedPlugin = jsonData.plugins.find(p => p.id === selectedPluginId);
-
-                if (!selectedPlugin) {
-                    await confirmation.update({
-                        content: "❌ Plugin not found.",
-                        embeds: [],
-                        components: []
-                    });
-                    return;
-                }
-
-                const pluginEmbed = createProjectEmbed(selectedPlugin, 'plugins');
-
-                await confirmation.update({
-                    embeds: [pluginEmbed],
-                    components: []
-                });
-
-            } catch (error) {
-                // Only show timeout message for collector timeout errors
-                if (error.code === 'InteractionCollectorError' || error.message?.includes('time')) {
-                    await interaction.editReply({
-                        content: "⏰ Selection timed out. Use `/plugins` to try again.",
-                        components: []
-                    });
-                } else {
-                    log.error({ err: error }, 'Error during plugin selection');
-                    await interaction.editReply({
-                        content: "❌ An error occurred during selection.",
-                        components: []
-                    });
-                }
-            }
-
-        } catch (error) {
-            log.error({ err: error }, 'Error executing plugins command');
-            await interaction.editReply({
-                content: "❌ An error occurred while fetching plugin information."
-            });
-        }
+        await showCatalogMenu(interaction, 'plugins');
     }
 };
@@ -0,0 +1,49 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { createProjectEmbed, createDeveloperButtons } from '../embedHelper.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { loadCatalog, searchProjects, toAutocompleteChoices, resolveProject } from '../catalogManager.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('project')
+        .setDescription('Look up any community client, plugin, or service')
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Project name, developer, or keyword')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        const data = await loadCatalog();
+        await interaction.respond(toAutocompleteChoices(searchProjects(data, query)));
+    },
+
+    async execute(interaction) {
+        const value = interaction.options.getString('name');
+
+        try {
+            const data = await loadCatalog();
+            const project = resolveProject(data, value);
+
+            if (!project) {
+                await interaction.reply({
+                    content: '❌ No matching project found. Try `/clients`, `/plugins`, or `/services` to browse.',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+
+            await interaction.reply({
+                embeds: [createProjectEmbed(project.item, project.category)],
+                components: createDeveloperButtons(project.item)
+            });
+        } catch (error) {
+            log.error({ err: error, query: value }, 'Error executing project command');
+            await interaction.reply({
+                content: '❌ An error occurred while looking up that project.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    }
+};
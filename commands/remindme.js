@@ -133,7 +133,7 @@ export default {
                 guildId: interaction.guildId
             };
 
-            // Save reminder (mutex-protected via reminderManager)
+            // Save reminder (via reminderManager to the configured storage backend)
             await addReminder(reminder);
 
             const timeString = `${timeAmount} ${timeUnit}`;
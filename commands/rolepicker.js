@@ -0,0 +1,108 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { isModerator, MODERATOR_PERMISSION } from '../utils/permissions.js';
+import { truncate, sanitize } from '../utils/safeEmbed.js';
+import { buildCustomId } from '../utils/componentRouter.js';
+import { loadCatalog } from '../catalogManager.js';
+import { getPickerRoles, toggleRole } from '../updateRoleManager.js';
+
+// Discord allows five buttons per row
+const BUTTONS_PER_ROW = 5;
+
+/**
+ * Build the role picker message with one toggle button per role
+ * @param {Array<{ roleId: string, label: string }>} roles - Roles from getPickerRoles()
+ * @returns {{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }}
+ */
+function buildPickerMessage(roles) {
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('🔔 Release Notification Roles')
+        .setDescription([
+            'Pick the roles you want to be mentioned with when a new release is announced. Click a role again to remove it.',
+            '',
+            ...roles.map(role => `• <@&${role.roleId}> — ${sanitize(role.label)}`)
+        ].join('\n'))
+        .setFooter({ text: 'Follow single projects with /subscribe' });
+
+    const components = [];
+    for (let i = 0; i < roles.length; i += BUTTONS_PER_ROW) {
+        components.push(new ActionRowBuilder().addComponents(
+            roles.slice(i, i + BUTTONS_PER_ROW).map(role => new ButtonBuilder()
+                .setCustomId(buildCustomId('rolepicker', 'toggle', role.roleId))
+                .setLabel(truncate(role.label, 80))
+                .setStyle(ButtonStyle.Secondary))
+        ));
+    }
+
+    return { embeds: [embed], components };
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('rolepicker')
+        .setDescription('Post a message where members pick release notification roles (moderators only)')
+        .setDefaultMemberPermissions(MODERATOR_PERMISSION),
+
+    async execute(interaction) {
+        if (!isModerator(interaction)) {
+            await interaction.reply({ content: '❌ Only moderators can post the role picker.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        try {
+            const roles = getPickerRoles(await loadCatalog());
+            if (roles.length === 0) {
+                await interaction.reply({
+                    content: '❌ No notification roles are configured. Set `UPDATE_ROLE_IDS` or feature a project with a role.',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+
+            await interaction.channel.send(buildPickerMessage(roles));
+
+            log.info({ userId: interaction.user.id, channelId: interaction.channelId, roles: roles.length }, 'Role picker posted');
+            await interaction.reply({
+                content: '✅ Role picker posted. Post it again after changing roles or featured projects to update its buttons.',
+                flags: MessageFlags.Ephemeral
+            });
+        } catch (error) {
+            log.error({ err: error, channelId: interaction.channelId }, 'Error posting role picker');
+            await interaction.reply({
+                content: '❌ Could not post the role picker. Check that I can send messages in this channel.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    },
+
+    // Toggle buttons ("rolepicker:toggle:<role ID>") on the posted picker, usable by every member
+    async handleComponent(interaction, args) {
+        const [action, roleId] = args;
+        if (action !== 'toggle') return;
+
+        // Old pickers may still show roles that are no longer offered
+        const role = getPickerRoles(await loadCatalog()).find(entry => entry.roleId === roleId);
+        if (!role) {
+            await interaction.reply({ content: '❌ This role is no longer offered.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        try {
+            const member = await interaction.guild.members.fetch(interaction.user.id);
+            const added = await toggleRole(member, roleId);
+            await interaction.reply({
+                content: added
+                    ? `🔔 You now get mentioned for **${sanitize(role.label)}** releases.`
+                    : `🔕 You no longer get mentioned for **${sanitize(role.label)}** releases.`,
+                flags: MessageFlags.Ephemeral
+            });
+        } catch (error) {
+            log.error({ err: error, roleId, userId: interaction.user.id }, 'Error toggling update role');
+            await interaction.reply({
+                content: '❌ I could not change your roles. Ask a moderator to check that I have Manage Roles above this role.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    }
+};
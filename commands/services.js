@@ -1,9 +1,5 @@
-import { SlashCommandBuilder, EmbedBuilder, StringSelectMenuBuilder, ActionRowBuilder, ComponentType } from "discord.js";
-import { COLORS, CATEGORY_INFO, isFeaturedProject, sortByFeatured, DISCORD_SELECT_MENU_LIMIT } from '../config.js';
-import { createProjectEmbed } from '../embedHelper.js';
-import { commandLogger as log } from '../utils/logger.js';
-import { readJsonWithRecovery } from '../utils/atomicJson.js';
-import { DATA_FILE } from '../utils/paths.js';
+import { SlashCommandBuilder } from "discord.js";
+import { showCatalogMenu } from '../catalogMenu.js';
 
 export default {
     data: new SlashCommandBuilder()
@@ -11,104 +7,6 @@ export default {
         .setDescription("Browse Jellyfin services with an interactive menu"),
 
     async execute(interaction) {
-        // Defer to prevent timeout during file I/O
-        await interaction.deferReply();
-
-        try {
-            const jsonData = await readJsonWithRecovery(DATA_FILE, { services: [] });
-            const services = jsonData.services || [];
-
-            if (services.length === 0) {
-                await interaction.editReply({
-                    content: "❌ No services available."
-                });
-                return;
-            }
-
-            const sortedServices = sortByFeatured(services);
-            const categoryInfo = CATEGORY_INFO.services;
-
-            const options = sortedServices.slice(0, DISCORD_SELECT_MENU_LIMIT).map(service => {
-                const isFeatured = isFeaturedProject(service);
-                return {
-                    label: `${isFeatured ? '⭐ ' : ''}${service.name.substring(0, 97)}`,
-                    description: service.description ? service.description.substring(0, 100) : 'No description available',
-                    value: service.id
-                };
-            });
-
-            const selectMenu = new StringSelectMenuBuilder()
-                .setCustomId('service_select')
-                .setPlaceholder('Choose a service to view details...')
-                .addOptions(options);
-
-            const row = new ActionRowBuilder().addComponents(selectMenu);
-
-            const embed = new EmbedBuilder()
-                .setColor(COLORS.services)
-                .setAuthor({
-                    name: categoryInfo.name,
-                    iconURL: categoryInfo.iconURL,
-                    url: categoryInfo.url
-                })
-                .setTitle("Available Services")
-                .setDescription("⭐ = Community developers on this server\n\nSelect a service from the dropdown menu below to view detailed information.")
-                .setFooter({ text: `${services.length} services available` });
-
-            const response = await interaction.editReply({
-                embeds: [embed],
-                components: [row]
-            });
-
-            const filter = (i) => i.customId === 'service_select' && i.user.id === interaction.user.id;
-
-            try {
-                const confirmation = await response.awaitMessageComponent({
-                    filter,
-                    componentType: ComponentType.StringSelect,
-                    time: 60_000
-                });
-
-                const selectedServiceId = confirmation.values[0];
-                const selectedService = services.find(s => s.id === selectedServiceId);
-
-                if (!selectedService) {
-                    await confirmation.update({
-                        content: "❌ Service not found.",
-                        embeds: [],
-                        components: []
-                    });
-                    return;
-                }
-
-                const serviceEmbed = createProjectEmbed(selectedService, 'services');
-
-                await confirmation.update({
-                    embeds: [serviceEmbed],
-                    components: []
-                });
-
-            } catch (error) {
-                // Only show timeout message for collector timeout errors
-                if (error.code === 'InteractionCollectorError' || error.message?.includes('time')) {
-                    await interaction.editReply({
-                        content: "⏰ Selection timed out. Use `/services` to try again.",
-                        components: []
-                    });
-                } else {
-                    log.error({ err: error }, 'Error during service selection');
-                    await interaction.editReply({
-                        content: "❌ An error occurred during selection.",
-                        components: []
-                    });
-                }
-            }
-
-        } catch (error) {
-            log.error({ err: error }, 'Error executing services command');
-            await interaction.editReply({
-                content: "❌ An error occurred while fetching service information."
-            });
-        }
+        await showCatalogMenu(interaction, 'services');
     }
 };
@@ -0,0 +1,257 @@
+import {
+    SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle,
+    ModalBuilder, TextInputBuilder, TextInputStyle, MessageFlags
+} from 'discord.js';
+import { CATEGORY_INFO } from '../config.js';
+import { createProjectEmbed } from '../embedHelper.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { isModerator } from '../utils/permissions.js';
+import { sanitizeString } from '../utils/sanitize.js';
+import { truncate, EMBED_LIMITS } from '../utils/safeEmbed.js';
+import { buildCustomId } from '../utils/componentRouter.js';
+import { buildProjectModal, parseProjectModal } from '../projectModal.js';
+import { loadCatalog, listProjects, slugify } from '../catalogManager.js';
+import { createSubmission, deleteSubmission, setReviewMessage, decideSubmission } from '../submissionManager.js';
+
+// How long submitters have to fill in the modal
+const MODAL_TIMEOUT = 15 * 60 * 1000;
+
+const STATUS_LABELS = {
+    pending: '🕒 Pending review',
+    approved: '✅ Approved',
+    rejected: '❌ Rejected',
+    changes_requested: '✏️ Changes requested'
+};
+
+const STATUS_COLORS = {
+    approved: 0x2ECC71,
+    rejected: 0xE74C3C,
+    changes_requested: 0xF1C40F
+};
+
+const categoryChoices = Object.entries(CATEGORY_INFO).map(([value, info]) => ({ name: info.name, value }));
+
+/**
+ * Build the review queue message for a submission
+ * @param {Object} submission - Submission record
+ * @returns {{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }}
+ */
+function buildReviewMessage(submission) {
+    const embed = createProjectEmbed(submission.project, submission.category)
+        .addFields(
+            { name: '📨 Submitted by', value: `<@${submission.submitterId}>`, inline: true },
+            { name: '📋 Status', value: STATUS_LABELS[submission.status], inline: true }
+        )
+        .setFooter({ text: `Submission ${submission.id}` })
+        .setTimestamp(new Date(submission.submittedAt));
+
+    if (submission.reviewerId) {
+        embed.addFields({ name: '🛡️ Reviewed by', value: `<@${submission.reviewerId}>`, inline: true });
+    }
+
+    if (submission.note) {
+        embed.addFields({ name: '📝 Note', value: truncate(submission.note, EMBED_LIMITS.FIELD_VALUE), inline: false });
+    }
+
+    if (STATUS_COLORS[submission.status]) {
+        embed.setColor(STATUS_COLORS[submission.status]);
+    }
+
+    if (submission.status !== 'pending') {
+        return { embeds: [embed], components: [] };
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('submit-project', 'approve', submission.id))
+            .setLabel('Approve')
+            .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('submit-project', 'reject', submission.id))
+            .setLabel('Reject')
+            .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('submit-project', 'changes', submission.id))
+            .setLabel('Request changes')
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    return { embeds: [embed], components: [row] };
+}
+
+/**
+ * Build the modal a moderator uses to explain a rejection or requested changes
+ * @param {string} action - 'reject' or 'changes'
+ * @param {string} submissionId - Submission id
+ * @returns {ModalBuilder}
+ */
+function buildNoteModal(action, submissionId) {
+    const isChanges = action === 'changes';
+    const input = new TextInputBuilder()
+        .setCustomId('note')
+        .setLabel(isChanges ? 'What should be changed?' : 'Reason (sent to the submitter)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(isChanges)
+        .setMaxLength(1000);
+
+    return new ModalBuilder()
+        .setCustomId(buildCustomId('submit-project', `${action}-note`, submissionId))
+        .setTitle(isChanges ? 'Request changes' : 'Reject submission')
+        .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
+/**
+ * Tell the submitter about a moderator decision via DM
+ * @param {Client} client - Discord client
+ * @param {Object} submission - Reviewed submission
+ */
+async function notifySubmitter(client, submission) {
+    const name = submission.project.name;
+    const note = submission.note ? `\n> ${submission.note.replace(/\n/g, '\n> ')}` : '';
+    const messages = {
+        approved: `✅ Your submission **${name}** was approved and is now listed in \`${CATEGORY_INFO[submission.category].command}\`. Thank you!`,
+        rejected: `❌ Your submission **${name}** was not accepted.${note}`,
+        changes_requested: `✏️ A moderator requested changes to your submission **${name}**:${note}\nPlease submit it again with \`/submit-project\` once updated.`
+    };
+
+    try {
+        const user = await client.users.fetch(submission.submitterId);
+        await user.send({ content: messages[submission.status], allowedMentions: { parse: [] } });
+    } catch (error) {
+        log.warn({ err: error, submissionId: submission.id }, 'Could not DM submitter about review decision');
+    }
+}
+
+/**
+ * Apply a moderator decision and refresh the review message
+ * @param {ButtonInteraction|ModalSubmitInteraction} interaction - Review interaction
+ * @param {string} submissionId - Submission id
+ * @param {string} status - Decision status
+ * @param {string} [note] - Optional note
+ */
+async function applyDecision(interaction, submissionId, status, note) {
+    await interaction.deferUpdate();
+
+    const result = await decideSubmission(submissionId, status, { reviewerId: interaction.user.id, note });
+    if (result.submission) {
+        await interaction.editReply(buildReviewMessage(result.submission));
+    }
+
+    if (!result.success) {
+        await interaction.followUp({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+        return;
+    }
+
+    await notifySubmitter(interaction.client, result.submission);
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('submit-project')
+        .setDescription('Submit your Jellyfin client, plugin, or service for the community catalog')
+        .addStringOption(option =>
+            option.setName('category')
+                .setDescription('What kind of project is it?')
+                .setRequired(true)
+                .addChoices(...categoryChoices))
+        .addStringOption(option =>
+            option.setName('status_url')
+                .setDescription('Status page URL (services)')),
+
+    async execute(interaction) {
+        const reviewChannelId = process.env.MOD_CHANNEL_ID;
+        if (!reviewChannelId) {
+            await interaction.reply({
+                content: '❌ Project submissions are not enabled on this server.',
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+
+        const category = interaction.options.getString('category');
+        const modal = buildProjectModal(`submit_project_${interaction.id}`, `Submit a ${CATEGORY_INFO[category].singular}`);
+        await interaction.showModal(modal);
+
+        let submitted;
+        try {
+            submitted = await interaction.awaitModalSubmit({
+                filter: (i) => i.customId === modal.data.custom_id && i.user.id === interaction.user.id,
+                time: MODAL_TIMEOUT
+            });
+        } catch {
+            // Modal was dismissed or timed out
+            return;
+        }
+
+        await submitted.deferReply({ flags: MessageFlags.Ephemeral });
+
+        try {
+            const name = sanitizeString(submitted.fields.getTextInputValue('name'), { maxLength: 100, allowNewlines: false });
+            const parsed = parseProjectModal(submitted, { id: slugify(name), statusUrl: interaction.options.getString('status_url') });
+            if (!parsed.valid || !parsed.project.id) {
+                const errors = parsed.valid ? ['Name must contain letters or numbers'] : parsed.errors;
+                await submitted.editReply({
+                    content: `❌ Please fix the following and submit again:\n${errors.slice(0, 10).map(error => `• ${error}`).join('\n')}`
+                });
+                return;
+            }
+
+            const data = await loadCatalog();
+            if (listProjects(data).some(({ item }) => item.id === parsed.project.id)) {
+                await submitted.editReply({ content: `❌ **${parsed.project.name}** is already in the catalog.` });
+                return;
+            }
+
+            // Check the review channel first, so a submission is only saved when moderators can see it
+            const channel = await interaction.client.channels.fetch(reviewChannelId);
+            if (!channel) {
+                log.error({ channelId: reviewChannelId }, 'Submission review channel not found');
+                await submitted.editReply({ content: '❌ Submissions cannot be reviewed right now. Please try again later.' });
+                return;
+            }
+
+            const result = await createSubmission({ category, project: parsed.project, submitterId: interaction.user.id });
+            if (!result.success) {
+                await submitted.editReply({ content: `❌ ${result.error}` });
+                return;
+            }
+
+            let reviewMessage;
+            try {
+                reviewMessage = await channel.send(buildReviewMessage(result.submission));
+            } catch (error) {
+                // Without a review message the submission could never be decided and would block resubmitting
+                await deleteSubmission(result.submission.id);
+                throw error;
+            }
+            await setReviewMessage(result.submission.id, reviewMessage);
+
+            await submitted.editReply({
+                content: `✅ Thanks! **${parsed.project.name}** was sent to the moderators for review. You'll get a DM once it has been reviewed.`
+            });
+        } catch (error) {
+            log.error({ err: error, userId: interaction.user.id }, 'Error creating project submission');
+            await submitted.editReply({ content: '❌ An error occurred while submitting your project.' });
+        }
+    },
+
+    // Review buttons and note modals ("submit-project:<action>:<submission id>")
+    async handleComponent(interaction, args) {
+        const [action, submissionId] = args;
+
+        if (!isModerator(interaction)) {
+            await interaction.reply({ content: '❌ Only moderators can review submissions.', flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        if (action === 'approve') {
+            await applyDecision(interaction, submissionId, 'approved');
+        } else if (action === 'reject' || action === 'changes') {
+            await interaction.showModal(buildNoteModal(action, submissionId));
+        } else if (action === 'reject-note' || action === 'changes-note') {
+            const note = sanitizeString(interaction.fields.getTextInputValue('note'), { maxLength: 1000 });
+            const status = action === 'reject-note' ? 'rejected' : 'changes_requested';
+            await applyDecision(interaction, submissionId, status, note || undefined);
+        }
+    }
+};
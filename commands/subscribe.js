@@ -0,0 +1,66 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { sanitize } from '../utils/safeEmbed.js';
+import { loadCatalog, searchProjects, toAutocompleteChoices, resolveProject, projectRef } from '../catalogManager.js';
+import { subscribe, DELIVERY_METHODS } from '../subscriptionManager.js';
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('subscribe')
+        .setDescription('Get notified when a community project publishes a new release')
+        .addStringOption(option =>
+            option.setName('project')
+                .setDescription('Project to follow')
+                .setRequired(true)
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('delivery')
+                .setDescription('How to notify you (default: direct message)')
+                .addChoices(...Object.entries(DELIVERY_METHODS).map(([value, name]) => ({ name, value })))),
+
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        const data = await loadCatalog();
+        await interaction.respond(toAutocompleteChoices(searchProjects(data, query).filter(({ item }) => item.repo)));
+    },
+
+    async execute(interaction) {
+        const value = interaction.options.getString('project');
+        const delivery = interaction.options.getString('delivery') || 'dm';
+
+        try {
+            const project = resolveProject(await loadCatalog(), value);
+            if (!project) {
+                await interaction.reply({ content: `❌ No project found for "${sanitize(value)}".`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            const { item, category } = project;
+            if (!item.repo) {
+                await interaction.reply({
+                    content: `❌ **${sanitize(item.name)}** has no repository, so its releases are not tracked.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+
+            const result = await subscribe(interaction.user.id, projectRef(category, item.id), delivery);
+            if (!result.success) {
+                await interaction.reply({ content: `❌ ${result.error}`, flags: MessageFlags.Ephemeral });
+                return;
+            }
+
+            const how = delivery === 'mention' ? 'be mentioned in the announcement' : 'get a direct message';
+            await interaction.reply({
+                content: `🔔 ${result.updated ? 'Updated: you' : 'You'}'ll ${how} when **${sanitize(item.name)}** publishes a new release.`,
+                flags: MessageFlags.Ephemeral
+            });
+        } catch (error) {
+            log.error({ err: error, userId: interaction.user.id, value }, 'Error executing subscribe command');
+            await interaction.reply({
+                content: '❌ An error occurred while saving your subscription.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    }
+};
@@ -0,0 +1,80 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { truncate, sanitize, sanitizeUrl, EMBED_LIMITS } from '../utils/safeEmbed.js';
+import { buildCustomId } from '../utils/componentRouter.js';
+import { loadCatalog, projectKey } from '../catalogManager.js';
+import { getSubscriptions, unsubscribe, resolveSubscription, DELIVERY_METHODS, MAX_SUBSCRIPTIONS } from '../subscriptionManager.js';
+
+// Discord allows five buttons per row
+const BUTTONS_PER_ROW = 5;
+
+/**
+ * Build the subscription list with one remove button per project
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }>}
+ */
+async function buildSubscriptionsView(userId) {
+    const [data, subscriptions] = await Promise.all([loadCatalog(), getSubscriptions(userId)]);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('🔔 Your Release Subscriptions')
+        .setFooter({ text: `${subscriptions.length}/${MAX_SUBSCRIPTIONS} projects · Follow more with /subscribe` });
+
+    if (subscriptions.length === 0) {
+        embed.setDescription('You are not following any projects yet. Use `/subscribe` to get notified about new releases.');
+        return { embeds: [embed], components: [] };
+    }
+
+    const entries = subscriptions.map(sub => ({ sub, ...resolveSubscription(data, sub.project) }));
+
+    const lines = entries.map(({ sub, label, item }) => {
+        const repoUrl = sanitizeUrl(item?.repo);
+        const name = sanitize(label);
+        const release = item?.lastRelease?.tag ? ` — 📦 ${sanitize(item.lastRelease.tag)}` : '';
+        return `• ${repoUrl ? `[${name}](${repoUrl})` : name}${release}\n  ${DELIVERY_METHODS[sub.delivery] || DELIVERY_METHODS.dm}`;
+    });
+    embed.setDescription(truncate(lines.join('\n'), EMBED_LIMITS.DESCRIPTION));
+
+    const components = [];
+    for (let i = 0; i < entries.length; i += BUTTONS_PER_ROW) {
+        components.push(new ActionRowBuilder().addComponents(
+            entries.slice(i, i + BUTTONS_PER_ROW).map(({ sub, label }) => new ButtonBuilder()
+                .setCustomId(buildCustomId('subscriptions', 'remove', projectKey(sub.project)))
+                .setLabel(truncate(`✖ ${label}`, 80))
+                .setStyle(ButtonStyle.Secondary))
+        ));
+    }
+
+    return { embeds: [embed], components };
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('subscriptions')
+        .setDescription('List the projects whose releases you follow'),
+
+    async execute(interaction) {
+        try {
+            await interaction.reply({ ...await buildSubscriptionsView(interaction.user.id), flags: MessageFlags.Ephemeral });
+        } catch (error) {
+            log.error({ err: error, userId: interaction.user.id }, 'Error executing subscriptions command');
+            await interaction.reply({
+                content: '❌ An error occurred while loading your subscriptions.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    },
+
+    // Remove buttons ("subscriptions:remove:<project key>"); the list is ephemeral, so only its owner can click
+    async handleComponent(interaction, args) {
+        const [action, key] = args;
+        if (action !== 'remove') return;
+
+        const subscription = (await getSubscriptions(interaction.user.id)).find(sub => projectKey(sub.project) === key);
+        if (subscription) {
+            await unsubscribe(interaction.user.id, subscription.project);
+        }
+        await interaction.update(await buildSubscriptionsView(interaction.user.id));
+    }
+};
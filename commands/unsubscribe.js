@@ -0,0 +1,69 @@
+import { SlashCommandBuilder, MessageFlags } from 'discord.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { truncate, sanitize } from '../utils/safeEmbed.js';
+import { fuzzyScore } from '../utils/fuzzy.js';
+import { loadCatalog, resolveProject, projectRef } from '../catalogManager.js';
+import { getSubscriptions, unsubscribe, resolveSubscription } from '../subscriptionManager.js';
+
+// Minimum fuzzy score for a followed project to match the autocomplete query
+const MIN_SEARCH_SCORE = 0.3;
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('unsubscribe')
+        .setDescription('Stop release notifications for a project')
+        .addStringOption(option =>
+            option.setName('project')
+                .setDescription('Project to stop following')
+                .setRequired(true)
+                .setAutocomplete(true)),
+
+    // Only suggest projects the user follows
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused().trim();
+        const [data, subscriptions] = await Promise.all([loadCatalog(), getSubscriptions(interaction.user.id)]);
+
+        const choices = subscriptions
+            .map(sub => ({ name: resolveSubscription(data, sub.project).label, value: sub.project }))
+            .filter(choice => !query || fuzzyScore(query, choice.name) >= MIN_SEARCH_SCORE)
+            .slice(0, 25)
+            .map(choice => ({ ...choice, name: truncate(choice.name, 100) }));
+
+        await interaction.respond(choices);
+    },
+
+    async execute(interaction) {
+        const value = interaction.options.getString('project');
+
+        try {
+            const data = await loadCatalog();
+
+            // Accept a followed reference directly (its project may be gone), or resolve free text
+            const subscriptions = await getSubscriptions(interaction.user.id);
+            let ref = subscriptions.some(sub => sub.project === value) ? value : null;
+            if (!ref) {
+                const project = resolveProject(data, value);
+                ref = project && projectRef(project.category, project.item.id);
+            }
+
+            if (!ref || !(await unsubscribe(interaction.user.id, ref))) {
+                await interaction.reply({
+                    content: `❌ You are not following "${sanitize(value)}". See \`/subscriptions\` for the projects you follow.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+
+            await interaction.reply({
+                content: `🔕 You will no longer be notified about **${sanitize(resolveSubscription(data, ref).label)}**.`,
+                flags: MessageFlags.Ephemeral
+            });
+        } catch (error) {
+            log.error({ err: error, userId: interaction.user.id, value }, 'Error executing unsubscribe command');
+            await interaction.reply({
+                content: '❌ An error occurred while removing your subscription.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    }
+};
@@ -0,0 +1,194 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, MessageFlags } from 'discord.js';
+import { CATEGORY_INFO } from '../config.js';
+import { commandLogger as log } from '../utils/logger.js';
+import { truncate, sanitize, sanitizeUrl, EMBED_LIMITS } from '../utils/safeEmbed.js';
+import { buildCustomId } from '../utils/componentRouter.js';
+import { loadCatalog, searchProjects, toAutocompleteChoices, resolveProject, projectRef, projectKey, listProjects } from '../catalogManager.js';
+import { getReleaseHistory, parseSince } from '../releaseHistory.js';
+
+// Releases per page
+const PAGE_SIZE = 10;
+
+// Category filter choices: the catalog categories and the official Jellyfin projects
+const CATEGORY_LABELS = {
+    ...Object.fromEntries(Object.entries(CATEGORY_INFO).map(([category, info]) => [category, info.name])),
+    official: 'Official Jellyfin'
+};
+
+/**
+ * Describe the active filters, e.g. "**Jellyfin Plugins** · since 10/12/2026"
+ * @param {{ category?: string, projectName?: string, since?: Date }} filters - Active filters
+ * @returns {string} Description, or an empty string without filters
+ */
+function describeFilters({ category, projectName, since }) {
+    const parts = [];
+    if (category) parts.push(`**${CATEGORY_LABELS[category]}**`);
+    if (projectName) parts.push(`**${sanitize(projectName)}**`);
+    if (since) parts.push(`since ${since.toLocaleDateString()}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Build one page of the release history
+ * @param {Object} filters - Filters ({ category, project, projectName, since })
+ * @param {number} page - Zero-based page index (clamped to the valid range)
+ * @returns {Promise<{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }>}
+ */
+async function buildHistoryPage(filters, page) {
+    const { category, project, since } = filters;
+    let { releases, total } = await getReleaseHistory({ category, project, since, page, pageSize: PAGE_SIZE });
+
+    const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+    const currentPage = Math.min(Math.max(page, 0), totalPages - 1);
+    if (currentPage !== page) {
+        ({ releases, total } = await getReleaseHistory({ category, project, since, page: currentPage, pageSize: PAGE_SIZE }));
+    }
+
+    const lines = releases.map(release => {
+        const tag = truncate(sanitize(release.tag), 50);
+        const url = sanitizeUrl(release.url);
+        const icon = release.releaseChannel === 'prerelease' ? '🧪' : '📦';
+        return `${icon} **${truncate(sanitize(release.name), 100)}** — ${url ? `[${tag}](${url})` : tag} · ${new Date(release.publishedAt).toLocaleDateString()}`;
+    });
+
+    const filterText = describeFilters(filters);
+    const description = [
+        filterText ? `🔎 ${filterText}` : null,
+        lines.length > 0 ? lines.join('\n') : 'No releases found. Releases are logged as the update monitor finds them.'
+    ].filter(Boolean).join('\n\n');
+
+    const embed = new EmbedBuilder()
+        .setColor(0x5865F2)
+        .setTitle('📜 Release History')
+        .setDescription(truncate(description, EMBED_LIMITS.DESCRIPTION))
+        .setFooter({ text: `${total} release${total === 1 ? '' : 's'}${totalPages > 1 ? ` · Page ${currentPage + 1} of ${totalPages}` : ''} · 📦 Stable · 🧪 Pre-release` });
+
+    if (totalPages <= 1) return { embeds: [embed], components: [] };
+
+    // Project IDs can be up to 100 characters, so buttons carry a fixed-length key instead of the reference
+    const pageId = (target) => buildCustomId('updates', 'page', target, category || '', since ? since.getTime() : '', project ? projectKey(project) : '');
+    const navigation = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(pageId(currentPage - 1))
+            .setLabel('◀ Newer')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage === 0),
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('updates', 'indicator'))
+            .setLabel(`Page ${currentPage + 1}/${totalPages}`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(true),
+        new ButtonBuilder()
+            .setCustomId(pageId(currentPage + 1))
+            .setLabel('Older ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage === totalPages - 1)
+    );
+
+    return { embeds: [embed], components: [navigation] };
+}
+
+/**
+ * Find the catalog project a key from projectKey() belongs to
+ * @param {string} key - Project key
+ * @returns {Promise<{ item: Object, category: string }|null>}
+ */
+async function findProjectByKey(key) {
+    return listProjects(await loadCatalog())
+        .find(({ item, category }) => projectKey(projectRef(category, item.id)) === key) || null;
+}
+
+export default {
+    data: new SlashCommandBuilder()
+        .setName('updates')
+        .setDescription('Browse recent releases of community and official Jellyfin projects')
+        .addStringOption(option =>
+            option.setName('category')
+                .setDescription('Only releases of this category')
+                .addChoices(...Object.entries(CATEGORY_LABELS).map(([value, name]) => ({ name, value }))))
+        .addStringOption(option =>
+            option.setName('project')
+                .setDescription('Only releases of this project')
+                .setAutocomplete(true))
+        .addStringOption(option =>
+            option.setName('since')
+                .setDescription('Only releases since a duration like 7d, 12h, 2w, 3m or a date like 2026-10-01')),
+
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused();
+        const data = await loadCatalog();
+        await interaction.respond(toAutocompleteChoices(searchProjects(data, query).filter(({ item }) => item.repo)));
+    },
+
+    async execute(interaction) {
+        const category = interaction.options.getString('category');
+        const projectValue = interaction.options.getString('project');
+        const sinceValue = interaction.options.getString('since');
+
+        try {
+            const filters = { category: category || undefined };
+
+            if (sinceValue) {
+                filters.since = parseSince(sinceValue);
+                if (!filters.since) {
+                    await interaction.reply({
+                        content: `❌ "${sanitize(sinceValue)}" is not a duration like \`7d\`, \`12h\`, \`2w\`, \`3m\` or a date like \`2026-10-01\`.`,
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+            }
+
+            if (projectValue) {
+                const project = resolveProject(await loadCatalog(), projectValue);
+                if (!project) {
+                    await interaction.reply({ content: `❌ No project found for "${sanitize(projectValue)}".`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                filters.project = projectRef(project.category, project.item.id);
+                filters.projectName = project.item.name;
+            }
+
+            await interaction.reply(await buildHistoryPage(filters, 0));
+        } catch (error) {
+            log.error({ err: error, category, project: projectValue, since: sinceValue }, 'Error executing updates command');
+            await interaction.reply({
+                content: '❌ An error occurred while loading the release history.',
+                flags: MessageFlags.Ephemeral
+            });
+        }
+    },
+
+    // Page buttons ("updates:page:<page>:<category>:<since ms>:<project key>").
+    // The user who ran the command pages in place; anyone else gets a private copy.
+    async handleComponent(interaction, args) {
+        const [action, page, category, since, key] = args;
+        if (action !== 'page') return;
+
+        const filters = {
+            category: CATEGORY_LABELS[category] ? category : undefined,
+            since: since ? new Date(Number(since)) : undefined
+        };
+
+        if (key) {
+            const project = await findProjectByKey(key);
+            if (!project) {
+                await interaction.reply({
+                    content: '❌ This project is no longer in the catalog. Use `/updates` to browse again.',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            filters.project = projectRef(project.category, project.item.id);
+            filters.projectName = project.item.name;
+        }
+
+        const view = await buildHistoryPage(filters, Number(page) || 0);
+        const ownerId = interaction.message.interactionMetadata?.user?.id;
+        if (!ownerId || ownerId === interaction.user.id) {
+            await interaction.update(view);
+        } else {
+            await interaction.reply({ ...view, flags: MessageFlags.Ephemeral });
+        }
+    }
+};
@@ -3,10 +3,70 @@
 // Discord API limits
 export const DISCORD_SELECT_MENU_LIMIT = 25;
 
-// Featured projects - developers active on this server
-export const FEATURED_PROJECTS = [
-    'afinity', 'anchorr', 'jellybuddy', 'jellyfin-enhanced', 'kefin-tweaks',
-    'paradox-plugins', 'streamystats'
+// How long short-lived prompts (e.g. confirmation buttons) wait for a response
+export const MENU_IDLE_TIMEOUT = 60_000;
+
+// Default reason shown for featured projects without a note
+export const DEFAULT_FEATURED_NOTE = 'Developer active on this server';
+
+// Platforms a project can be tagged with (data.json "tags.platforms")
+export const PLATFORMS = {
+    'android': 'Android',
+    'android-tv': 'Android TV / Google TV',
+    'fire-tv': 'Fire TV',
+    'ios': 'iOS',
+    'ipados': 'iPadOS',
+    'tvos': 'Apple TV (tvOS)',
+    'macos': 'macOS',
+    'windows': 'Windows',
+    'linux': 'Linux',
+    'web': 'Web',
+    'lg-webos': 'LG TV (webOS)',
+    'samsung-tizen': 'Samsung TV (Tizen)',
+    'roku': 'Roku',
+    'xbox': 'Xbox',
+    'kodi': 'Kodi'
+};
+
+// Capabilities a project can be tagged with (data.json "tags.features")
+export const FEATURES = {
+    'offline-sync': 'Offline downloads',
+    'chromecast': 'Chromecast',
+    'airplay': 'AirPlay',
+    'music': 'Music playback',
+    'live-tv': 'Live TV',
+    'syncplay': 'SyncPlay',
+    'hdr': 'HDR / Dolby Vision',
+    'direct-play': 'Direct play',
+    'multi-user': 'Multiple users',
+    'plugin-support': 'Plugin integration'
+};
+
+// Pricing models a project can be tagged with (data.json "tags.price")
+export const PRICES = {
+    'free': 'Free',
+    'freemium': 'Free with paid extras',
+    'paid': 'Paid'
+};
+
+// Which releases of a project are announced (data.json "releaseTracking.track")
+export const RELEASE_TRACKS = {
+    'stable': 'Stable releases',
+    'prerelease': 'Pre-releases',
+    'both': 'Stable releases and pre-releases'
+};
+
+// Official Jellyfin repositories tracked by the update monitor, in the order /jellyfin latest lists them
+export const OFFICIAL_PROJECTS = [
+    { id: 'server', name: 'Jellyfin Server', repo: 'https://github.com/jellyfin/jellyfin' },
+    { id: 'web', name: 'Jellyfin Web', repo: 'https://github.com/jellyfin/jellyfin-web' },
+    { id: 'android', name: 'Jellyfin for Android', repo: 'https://github.com/jellyfin/jellyfin-android' },
+    { id: 'androidtv', name: 'Jellyfin for Android TV', repo: 'https://github.com/jellyfin/jellyfin-androidtv' },
+    { id: 'swiftfin', name: 'Swiftfin', repo: 'https://github.com/jellyfin/Swiftfin' },
+    { id: 'media-player', name: 'Jellyfin Media Player', repo: 'https://github.com/jellyfin/jellyfin-media-player' },
+    { id: 'kodi', name: 'Jellyfin for Kodi', repo: 'https://github.com/jellyfin/jellyfin-kodi' },
+    { id: 'roku', name: 'Jellyfin for Roku', repo: 'https://github.com/jellyfin/jellyfin-roku' },
+    { id: 'webos', name: 'Jellyfin for webOS', repo: 'https://github.com/jellyfin/jellyfin-webos' }
 ];
 
 // Embed colors by category
@@ -14,7 +74,9 @@ export const COLORS = {
     clients: 0x3498DB,
     plugins: 0x00D4AA,
     services: 0xFF6B35,
-    featured: 0xFFD700
+    featured: 0xFFD700,
+    prerelease: 0xF1C40F,
+    official: 0xAA5CC3
 };
 
 // Category metadata
@@ -22,6 +84,10 @@ export const CATEGORY_INFO = {
     clients: {
         name: 'Third-Party Jellyfin Clients',
         singular: 'Third Party Client',
+        noun: 'client',
+        plural: 'third-party clients',
+        menuTitle: 'Community-Developed Clients',
+        dataKey: 'third_party_clients',
         iconURL: 'https://raw.githubusercontent.com/jellyfin/jellyfin-ux/master/branding/web/icon-transparent.png',
         url: 'https://jellyfin.org/clients/',
         command: '/clients'
@@ -29,6 +95,10 @@ export const CATEGORY_INFO = {
     plugins: {
         name: 'Jellyfin Plugins',
         singular: 'Plugin',
+        noun: 'plugin',
+        plural: 'plugins',
+        menuTitle: 'Available Plugins',
+        dataKey: 'plugins',
         iconURL: 'https://raw.githubusercontent.com/jellyfin/jellyfin-ux/master/branding/web/icon-transparent.png',
         url: 'https://jellyfin.org/docs/general/server/plugins',
         command: '/plugins'
@@ -36,17 +106,34 @@ export const CATEGORY_INFO = {
     services: {
         name: 'Jellyfin Services',
         singular: 'Service',
+        noun: 'service',
+        plural: 'services',
+        menuTitle: 'Available Services',
+        dataKey: 'services',
         iconURL: 'https://raw.githubusercontent.com/jellyfin/jellyfin-ux/master/branding/web/icon-transparent.png',
         url: 'https://jellyfin.org',
         command: '/services'
     }
 };
 
-// Check if a project is featured
-export function isFeaturedProject(item) {
-    return FEATURED_PROJECTS.some(id =>
-        item.id.includes(id) || item.name.toLowerCase().includes(id)
-    );
+// Parse a featured start/end date; date-only end dates last until the end of that day (UTC)
+export function parseFeaturedDate(value, endOfDay = false) {
+    if (!value) return null;
+    const time = Date.parse(value);
+    if (isNaN(time)) return null;
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Check if a project is featured (data.json "featured" entry within its optional date window)
+export function isFeaturedProject(item, now = Date.now()) {
+    const featured = item?.featured;
+    if (!featured || typeof featured !== 'object') return false;
+
+    const start = parseFeaturedDate(featured.start);
+    const end = parseFeaturedDate(featured.end, true);
+    if (start !== null && now < start) return false;
+    if (end !== null && now > end) return false;
+    return true;
 }
 
 // Sort items with featured first, then alphabetically
@@ -60,3 +147,8 @@ export function sortByFeatured(items) {
         return a.name.localeCompare(b.name);
     });
 }
+
+// Look up the category type ('clients', 'plugins', 'services') for a data.json key
+export function categoryFromDataKey(dataKey) {
+    return Object.keys(CATEGORY_INFO).find(category => CATEGORY_INFO[category].dataKey === dataKey) || null;
+}
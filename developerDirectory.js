@@ -0,0 +1,137 @@
+import { createHash } from 'crypto';
+import { listProjects, slugify } from './catalogManager.js';
+import { fuzzyScore } from './utils/fuzzy.js';
+
+// Discord allows at most 25 autocomplete choices
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+// Minimum fuzzy score for a developer to count as a search hit
+const MIN_SEARCH_SCORE = 0.3;
+
+/**
+ * Get a developer's GitHub profile URL, if their link points to a user or organization
+ * @param {Object} dev - Developer entry
+ * @returns {string|null}
+ */
+function githubProfile(dev) {
+    const match = String(dev.link || dev.github || '').match(/^https?:\/\/(?:www\.)?github\.com\/([a-zA-Z0-9-]+)\/?$/);
+    return match ? `https://github.com/${match[1]}` : null;
+}
+
+/**
+ * Build a stable key that identifies a developer across projects.
+ * The GitHub username is preferred, so one person listed under different names is merged.
+ * @param {Object|string} dev - Developer entry
+ * @returns {string} Key like "fredrikburmester"
+ */
+export function developerKey(dev) {
+    if (typeof dev === 'string') return slugify(dev);
+
+    const github = githubProfile(dev);
+    if (github) return github.split('/').pop().toLowerCase();
+
+    return slugify(dev.discord_username || dev.name);
+}
+
+/**
+ * Shorten a developer key for component custom IDs. Keys of name-only developers are slugified names
+ * of up to 100 characters, which would not fit Discord's custom ID limit.
+ * @param {string} key - Developer key from developerKey()
+ * @returns {string} 12-character key
+ */
+export function developerButtonKey(key) {
+    return createHash('sha256').update(key).digest('base64url').slice(0, 12);
+}
+
+/**
+ * Aggregate every developer in the catalog with the projects they work on
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @returns {Array<{ key: string, name: string, link: string|null, discordUsername: string|null,
+ *   discordChannels: string[], projects: Array<{ item: Object, category: string }> }>}
+ */
+export function listDevelopers(data) {
+    const developers = new Map();
+
+    for (const project of listProjects(data)) {
+        for (const dev of project.item.developers || []) {
+            const key = developerKey(dev);
+            if (!key) continue;
+
+            if (!developers.has(key)) {
+                developers.set(key, {
+                    key,
+                    name: typeof dev === 'string' ? dev : dev.name,
+                    link: null,
+                    discordUsername: null,
+                    discordChannels: [],
+                    projects: []
+                });
+            }
+
+            const profile = developers.get(key);
+            if (!profile.projects.some(p => p.item.id === project.item.id)) profile.projects.push(project);
+            if (typeof dev === 'string') continue;
+
+            profile.link = profile.link || githubProfile(dev) || dev.link || dev.github || null;
+            profile.discordUsername = profile.discordUsername || dev.discord_username || null;
+            if (dev.discord_channel && !profile.discordChannels.includes(dev.discord_channel)) {
+                profile.discordChannels.push(dev.discord_channel);
+            }
+        }
+    }
+
+    return [...developers.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a developer by key
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} key - Developer key from developerKey()
+ * @returns {Object|null} Developer profile or null
+ */
+export function findDeveloper(data, key) {
+    return listDevelopers(data).find(dev => dev.key === key) || null;
+}
+
+/**
+ * Find a developer by the key of a profile button
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} buttonKey - Key from developerButtonKey()
+ * @returns {Object|null} Developer profile or null
+ */
+export function findDeveloperByButtonKey(data, buttonKey) {
+    return listDevelopers(data).find(dev => developerButtonKey(dev.key) === buttonKey) || null;
+}
+
+/**
+ * Fuzzy-search developers by name, key, or Discord username
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results
+ * @returns {Array<Object>} Developer profiles, best match first
+ */
+export function searchDevelopers(data, query, limit = MAX_AUTOCOMPLETE_CHOICES) {
+    const developers = listDevelopers(data);
+    const trimmed = (query || '').trim();
+    if (!trimmed) return developers.slice(0, limit);
+
+    return developers
+        .map(dev => ({
+            dev,
+            score: Math.max(fuzzyScore(trimmed, dev.name), fuzzyScore(trimmed, dev.key), fuzzyScore(trimmed, dev.discordUsername))
+        }))
+        .filter(({ score }) => score >= MIN_SEARCH_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ dev }) => dev);
+}
+
+/**
+ * Resolve a command option value to a developer, by key or best fuzzy match
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} value - Option value
+ * @returns {Object|null} Developer profile or null
+ */
+export function resolveDeveloper(data, value) {
+    return findDeveloper(data, value) || searchDevelopers(data, value, 1)[0] || null;
+}
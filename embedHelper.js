@@ -1,6 +1,13 @@
-import { EmbedBuilder } from 'discord.js';
-import { COLORS, CATEGORY_INFO, isFeaturedProject } from './config.js';
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { COLORS, CATEGORY_INFO, PLATFORMS, FEATURES, PRICES, DEFAULT_FEATURED_NOTE, isFeaturedProject } from './config.js';
 import { truncate, sanitize, sanitizeUrl, EMBED_LIMITS } from './utils/safeEmbed.js';
+import { getHealthFlag, STALE_PROJECT_DAYS } from './catalogManager.js';
+import { developerKey, developerButtonKey } from './developerDirectory.js';
+import { buildCustomId } from './utils/componentRouter.js';
+import { getRepoLinkText } from './utils/forges/index.js';
+
+// Discord allows at most 5 buttons per action row
+const MAX_DEVELOPER_BUTTONS = 5;
 
 /**
  * Creates an embed for a project (client, plugin, or service)
@@ -29,12 +36,12 @@ export function createProjectEmbed(item, category) {
             url: categoryInfo.url
         })
         .setTitle(truncate(`${isFeatured ? '⭐ ' : ''}${safeName}`, EMBED_LIMITS.TITLE))
-        .setURL(repoUrl || '#')
+        .setURL(repoUrl)
         .setDescription(safeDescription)
         .setFooter({
             text: truncate(
                 isFeatured
-                    ? '⭐ Developer active on this server'
+                    ? `⭐ ${item.featured.note || DEFAULT_FEATURED_NOTE}`
                     : `Use ${categoryInfo.command} to browse all available ${category}`,
                 EMBED_LIMITS.FOOTER_TEXT
             )
@@ -48,7 +55,7 @@ export function createProjectEmbed(item, category) {
     if (repoUrl) {
         embed.addFields({
             name: '🔗 Repository',
-            value: `[View on GitHub](${repoUrl})`,
+            value: `[${getRepoLinkText(repoUrl)}](${repoUrl})`,
             inline: false
         });
     }
@@ -92,6 +99,76 @@ export function createProjectEmbed(item, category) {
         }
     }
 
+    if (item.tags) {
+        const platforms = (item.tags.platforms || []).map(p => PLATFORMS[p] || sanitize(p));
+        const features = (item.tags.features || []).map(f => FEATURES[f] || sanitize(f));
+
+        if (platforms.length > 0) {
+            embed.addFields({
+                name: '📱 Platforms',
+                value: truncate(platforms.join(', '), EMBED_LIMITS.FIELD_VALUE),
+                inline: false
+            });
+        }
+
+        if (features.length > 0) {
+            embed.addFields({
+                name: '✨ Features',
+                value: truncate(features.join(', '), EMBED_LIMITS.FIELD_VALUE),
+                inline: false
+            });
+        }
+
+        if (item.tags.license) {
+            embed.addFields({ name: '📜 License', value: truncate(sanitize(item.tags.license), 100), inline: true });
+        }
+
+        if (item.tags.price) {
+            embed.addFields({ name: '💰 Price', value: PRICES[item.tags.price] || sanitize(item.tags.price), inline: true });
+        }
+    }
+
+    if (item.compatibility?.server) {
+        embed.addFields({
+            name: '🧩 Server Compatibility',
+            value: `Jellyfin \`${truncate(sanitize(item.compatibility.server), 200)}\``,
+            inline: false
+        });
+    }
+
+    // Plugins imported from a repository manifest
+    const latestVersion = item.manifest?.versions?.[0];
+    if (latestVersion) {
+        const target = latestVersion.targetAbi ? ` · for Jellyfin ${sanitize(latestVersion.targetAbi)}` : '';
+        embed.addFields({
+            name: '🧱 Plugin Version',
+            value: truncate(`v${sanitize(latestVersion.version)}${target}`, EMBED_LIMITS.FIELD_VALUE),
+            inline: false
+        });
+    }
+
+    if (item.health) {
+        const flag = getHealthFlag(item);
+        const signals = [
+            `⭐ ${item.health.stars ?? 0} stars`,
+            `🐛 ${item.health.openIssues ?? 0} open issues`
+        ];
+        if (item.health.lastCommit) {
+            signals.push(`🕒 Last commit ${new Date(item.health.lastCommit).toLocaleDateString()}`);
+        }
+
+        const warnings = {
+            archived: '⚠️ **Archived** - this repository is no longer maintained',
+            stale: `⚠️ **Possibly unmaintained** - no commits in over ${STALE_PROJECT_DAYS} days`
+        };
+
+        embed.addFields({
+            name: '📊 Repository Health',
+            value: truncate(`${flag ? `${warnings[flag]}\n` : ''}${signals.join(' · ')}`, EMBED_LIMITS.FIELD_VALUE),
+            inline: false
+        });
+    }
+
     if (item.lastRelease) {
         const releaseUrl = sanitizeUrl(item.lastRelease.url);
         const safeTag = sanitize(item.lastRelease.tag || 'unknown');
@@ -106,5 +183,41 @@ export function createProjectEmbed(item, category) {
         });
     }
 
+    // Only show a pre-release that is newer than the latest stable release
+    if (item.lastPrerelease && !(Date.parse(item.lastRelease?.published_at) >= Date.parse(item.lastPrerelease.published_at))) {
+        const prereleaseUrl = sanitizeUrl(item.lastPrerelease.url);
+        const safeTag = sanitize(item.lastPrerelease.tag || 'unknown');
+        const date = new Date(item.lastPrerelease.published_at).toLocaleDateString();
+
+        embed.addFields({
+            name: '🧪 Latest Pre-release',
+            value: truncate(prereleaseUrl ? `[${safeTag}](${prereleaseUrl}) - ${date}` : `${safeTag} - ${date}`, EMBED_LIMITS.FIELD_VALUE),
+            inline: false
+        });
+    }
+
     return embed;
 }
+
+/**
+ * Creates buttons that open the /developer profile of each project developer
+ * @param {Object} item - The project item
+ * @returns {ActionRowBuilder[]} One row of profile buttons, or none without developers
+ */
+export function createDeveloperButtons(item) {
+    const keys = new Set();
+    const buttons = [];
+
+    for (const dev of item.developers || []) {
+        const key = developerKey(dev);
+        if (!key || keys.has(key) || buttons.length === MAX_DEVELOPER_BUTTONS) continue;
+        keys.add(key);
+
+        buttons.push(new ButtonBuilder()
+            .setCustomId(buildCustomId('developer', 'show', developerButtonKey(key)))
+            .setLabel(truncate(`👤 ${typeof dev === 'string' ? dev : dev.name || 'Unknown'}`, 80))
+            .setStyle(ButtonStyle.Secondary));
+    }
+
+    return buttons.length > 0 ? [new ActionRowBuilder().addComponents(buttons)] : [];
+}
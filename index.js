@@ -5,12 +5,19 @@ import { fileURLToPath } from 'url';
 import { Client, Collection, GatewayIntentBits, REST, Routes, MessageFlags } from 'discord.js';
 import { initializeReminders } from './reminderManager.js';
 import { initializeUpdateMonitor } from './updateMonitor.js';
+import { initializeUpdateDigest } from './updateDigest.js';
 import { initRedditFeed } from './redditRssFeed.js';
+import { initializeManifestImport } from './manifestImporter.js';
+import { initializeRepoHealthMonitor } from './repoHealthMonitor.js';
 import { validateEnv } from './utils/validateEnv.js';
 import { initGlobalErrorHandlers, wrapEventHandler } from './utils/errorHandler.js';
 import { initGracefulShutdown } from './utils/shutdown.js';
 import { botLogger as log } from './utils/logger.js';
 import { rateLimiter } from './utils/rateLimiter.js';
+import { registerComponentHandler, routeComponent } from './utils/componentRouter.js';
+import { handleCatalogComponent } from './catalogMenu.js';
+import { runMigrations } from './utils/migrations.js';
+import { initStorage } from './utils/storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,6 +29,22 @@ const { TOKEN, CLIENT_ID, GUILD_ID } = ENV;
 // Initialize global error handlers immediately after validation
 initGlobalErrorHandlers();
 
+// Upgrade data files to their current schema before anything reads them
+try {
+  await runMigrations();
+} catch (error) {
+  log.fatal({ err: error, file: error.file, errors: error.errors }, 'Data migration failed, fix the file or restore it from its backup');
+  process.exit(1);
+}
+
+// Open the storage backend for reminders and posted items
+try {
+  await initStorage(ENV.STORAGE_BACKEND);
+} catch (error) {
+  log.fatal({ err: error, backend: ENV.STORAGE_BACKEND }, 'Could not open storage');
+  process.exit(1);
+}
+
 // Client with correct intents
 const client = new Client({
   intents: [
@@ -42,8 +65,16 @@ for (const file of commandFiles) {
   const command = commandModule.default;
   client.commands.set(command.data.name, command);
   commands.push(command.data.toJSON());
+
+  // Commands with persistent components handle the custom IDs in their own namespace
+  if (command.handleComponent) {
+    registerComponentHandler(command.data.name, (interaction, args) => command.handleComponent(interaction, args));
+  }
 }
 
+// Catalog menus shared by /clients, /plugins, and /services
+registerComponentHandler('catalog', handleCatalogComponent);
+
 // Register slash commands
 const rest = new REST({ version: '10' }).setToken(TOKEN);
 
@@ -61,9 +92,18 @@ client.once('ready', async () => {
   // Initialize reminder system
   await initializeReminders(client);
 
+  // Initialize plugin manifest import
+  initializeManifestImport();
+
   // Initialize update monitor
   await initializeUpdateMonitor(client);
 
+  // Initialize scheduled release digests
+  initializeUpdateDigest(client);
+
+  // Initialize repository health monitor
+  initializeRepoHealthMonitor(client);
+
   try {
     log.info('Registering slash commands');
     await rest.put(
@@ -76,7 +116,7 @@ client.once('ready', async () => {
   }
 });
 
-// Handle slash commands and autocomplete
+// Handle slash commands, autocomplete, and persistent components
 client.on('interactionCreate', wrapEventHandler(async interaction => {
   if (interaction.isCommand()) {
     const command = client.commands.get(interaction.commandName);
@@ -123,6 +163,24 @@ client.on('interactionCreate', wrapEventHandler(async interaction => {
     } catch (error) {
       log.error({ err: error, command: interaction.commandName }, 'Autocomplete error');
     }
+  } else if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+    // Persistent components use "<namespace>:<args...>" custom IDs so they keep working after restarts.
+    // Other custom IDs belong to short-lived prompts and are handled there.
+    try {
+      await routeComponent(interaction);
+    } catch (error) {
+      log.error({ err: error, customId: interaction.customId }, 'Error handling component interaction');
+      const errorMessage = { content: '❌ There was an error handling that interaction.', flags: MessageFlags.Ephemeral };
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.followUp(errorMessage);
+        } else {
+          await interaction.reply(errorMessage);
+        }
+      } catch (replyError) {
+        log.error({ err: replyError }, 'Failed to send error reply');
+      }
+    }
   }
 }, 'interactionCreate'));
 
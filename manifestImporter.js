@@ -0,0 +1,245 @@
+import cron from 'node-cron';
+import fs from 'fs/promises';
+import path from 'path';
+import { CATEGORY_INFO } from './config.js';
+import { timerManager } from './utils/timerManager.js';
+import { createModuleLogger } from './utils/logger.js';
+import { addPositiveJitter } from './utils/jitter.js';
+import { fetchWithTimeout, USER_AGENT } from './utils/http.js';
+import { validateUrl, validateGitHubRepo } from './utils/validators/url.js';
+import { sanitizeString } from './utils/sanitize.js';
+import { parseVersion, compareVersions } from './utils/semver.js';
+import { updateCatalog, listProjects, slugify } from './catalogManager.js';
+
+const log = createModuleLogger('manifest-import');
+
+// Maximum stored changelog length per plugin version
+const MAX_CHANGELOG_LENGTH = 500;
+
+/**
+ * Get the manifest sources configured in PLUGIN_MANIFESTS
+ * @returns {string[]} URLs or local file paths
+ */
+export function getConfiguredSources() {
+    return (process.env.PLUGIN_MANIFESTS || '')
+        .split(',')
+        .map(source => source.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Check whether a manifest source is a URL rather than a local file
+ * @param {string} source - Manifest source
+ * @returns {boolean}
+ */
+function isUrlSource(source) {
+    return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Load a Jellyfin plugin repository manifest
+ * @param {string} source - Manifest URL or local file path (relative to the working directory)
+ * @returns {Promise<Array>} Manifest plugin entries
+ */
+export async function loadManifest(source) {
+    let manifest;
+
+    if (isUrlSource(source)) {
+        const response = await fetchWithTimeout(source, {
+            headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`Manifest request responded with ${response.status}`);
+        }
+        manifest = await response.json();
+    } else {
+        const content = await fs.readFile(path.resolve(process.cwd(), source), 'utf8');
+        manifest = JSON.parse(content);
+    }
+
+    if (!Array.isArray(manifest)) {
+        throw new Error('Manifest must be a JSON array of plugins');
+    }
+
+    return manifest;
+}
+
+/**
+ * Derive a GitHub repository URL from a plugin version's download URL
+ * @param {Array} versions - Manifest versions
+ * @returns {string|undefined}
+ */
+function repoFromVersions(versions) {
+    for (const version of versions) {
+        const repo = validateGitHubRepo(version.sourceUrl);
+        if (repo.valid) return `https://github.com/${repo.owner}/${repo.repo}`;
+    }
+    return undefined;
+}
+
+/**
+ * Convert manifest versions to the stored format, newest first
+ * @param {Array} versions - Manifest versions
+ * @returns {Array<{ version: string, targetAbi?: string, changelog?: string, timestamp?: string }>}
+ */
+function normalizeVersions(versions) {
+    return versions
+        .filter(version => parseVersion(version?.version))
+        .map(version => {
+            const normalized = { version: String(version.version) };
+            if (parseVersion(version.targetAbi)) normalized.targetAbi = String(version.targetAbi);
+            const changelog = sanitizeString(version.changelog, { maxLength: MAX_CHANGELOG_LENGTH });
+            if (changelog) normalized.changelog = changelog;
+            if (typeof version.timestamp === 'string') normalized.timestamp = version.timestamp;
+            return normalized;
+        })
+        .sort((a, b) => compareVersions(parseVersion(b.version), parseVersion(a.version)));
+}
+
+/**
+ * Build catalog fields from a manifest entry
+ * @param {Object} entry - Manifest plugin entry
+ * @param {string} source - Manifest source the entry came from
+ * @returns {Object|null} Project fields, or null if the entry is unusable
+ */
+function entryToProject(entry, source) {
+    if (typeof entry?.guid !== 'string' || typeof entry?.name !== 'string') return null;
+
+    const name = sanitizeString(entry.name, { maxLength: 100, allowNewlines: false });
+    if (!name || !slugify(name)) return null;
+
+    const versions = normalizeVersions(Array.isArray(entry.versions) ? entry.versions : []);
+    const project = {
+        name,
+        manifest: { guid: entry.guid.toLowerCase(), source, versions }
+    };
+
+    const description = sanitizeString(entry.overview || entry.description, { maxLength: 1000 });
+    if (description) project.description = description;
+
+    const logo = validateUrl(entry.imageUrl);
+    if (logo) project.logo = logo;
+
+    const repo = repoFromVersions(Array.isArray(entry.versions) ? entry.versions : []);
+    if (repo) project.repo = repo;
+
+    const owner = sanitizeString(entry.owner, { maxLength: 100, allowNewlines: false });
+    if (owner) project.developers = [{ name: owner }];
+
+    return project;
+}
+
+/**
+ * Merge manifest entries into the plugins catalog (mutex-protected via updateCatalog).
+ * Plugins are matched by manifest guid, or by id for plugins added by hand.
+ * Versions and targetAbi are always refreshed; name, description, logo, repo and
+ * developers are only filled in when missing, so moderator edits are kept.
+ * New plugins are added without lastChecked, so the update monitor records their current releases without announcing them.
+ * @param {Array} entries - Manifest plugin entries
+ * @param {string} source - Manifest source the entries came from
+ * @returns {Promise<{ success: boolean, errors: string[], added: number, updated: number, unchanged: number, skipped: number }>}
+ */
+export async function mergeManifest(entries, source) {
+    const counts = { added: 0, updated: 0, unchanged: 0, skipped: 0 };
+    const dataKey = CATEGORY_INFO.plugins.dataKey;
+
+    const result = await updateCatalog(data => {
+        data[dataKey] = data[dataKey] || [];
+        const plugins = data[dataKey];
+
+        for (const entry of entries) {
+            const imported = entryToProject(entry, source);
+            if (!imported) {
+                counts.skipped++;
+                continue;
+            }
+
+            const id = slugify(imported.name);
+            const existing = plugins.find(item => item.manifest?.guid === imported.manifest.guid)
+                || plugins.find(item => item.id === id && !item.manifest);
+
+            if (!existing) {
+                if (listProjects(data).some(({ item }) => item.id === id)) {
+                    log.warn({ id, guid: imported.manifest.guid }, 'Manifest plugin id already used by another project, skipping');
+                    counts.skipped++;
+                    continue;
+                }
+
+                plugins.push({ id, ...imported });
+                counts.added++;
+                continue;
+            }
+
+            const before = JSON.stringify(existing);
+            existing.manifest = imported.manifest;
+            for (const key of ['description', 'logo', 'repo', 'developers']) {
+                if (existing[key] === undefined && imported[key] !== undefined) {
+                    existing[key] = imported[key];
+                }
+            }
+
+            if (JSON.stringify(existing) === before) {
+                counts.unchanged++;
+            } else {
+                counts.updated++;
+            }
+        }
+    });
+
+    return { ...result, ...counts };
+}
+
+/**
+ * Import one manifest source into the plugins catalog
+ * @param {string} source - Manifest URL or local file path
+ * @returns {Promise<{ success: boolean, errors: string[], added?: number, updated?: number, unchanged?: number, skipped?: number }>}
+ */
+export async function importManifest(source) {
+    try {
+        const entries = await loadManifest(source);
+        const result = await mergeManifest(entries, source);
+
+        if (result.success) {
+            log.info({ source, added: result.added, updated: result.updated, skipped: result.skipped }, 'Plugin manifest imported');
+        } else {
+            log.error({ source, errors: result.errors }, 'Plugin manifest import failed validation');
+        }
+
+        return result;
+    } catch (error) {
+        log.error({ err: error, source }, 'Error importing plugin manifest');
+        return { success: false, errors: [error.message] };
+    }
+}
+
+/**
+ * Import every configured manifest source
+ */
+async function importConfiguredManifests() {
+    for (const source of getConfiguredSources()) {
+        await importManifest(source);
+    }
+}
+
+export function initializeManifestImport() {
+    if (getConfiguredSources().length === 0) {
+        log.info('PLUGIN_MANIFESTS not set - manifest import disabled');
+        return;
+    }
+
+    // Refresh manifests daily (using timerManager for graceful shutdown)
+    const job = cron.schedule('30 4 * * *', async () => {
+        log.info('Running scheduled manifest import');
+        await importConfiguredManifests();
+    });
+    timerManager.registerCron('manifest-import', job);
+
+    // Initial import shortly after startup, before the first update check
+    const initialDelay = addPositiveJitter(20000, 0.5); // 20-30 seconds
+    timerManager.setTimeout('initial-manifest-import', async () => {
+        log.info('Running initial manifest import');
+        await importConfiguredManifests();
+    }, initialDelay);
+
+    log.info({ sources: getConfiguredSources().length }, 'Manifest import initialized');
+}
@@ -0,0 +1,32 @@
+import { createModuleLogger } from './utils/logger.js';
+import { readJsonWithRecovery, writeJsonAtomic } from './utils/atomicJson.js';
+import { officialReleaseMutex } from './utils/asyncMutex.js';
+import { OFFICIAL_RELEASES_FILE } from './utils/paths.js';
+import { SCHEMA_VERSIONS } from './utils/schemas.js';
+
+const log = createModuleLogger('official-releases');
+
+/**
+ * Load the last known releases of the official projects
+ * @returns {Promise<Object<string, { lastRelease?: Object, lastPrerelease?: Object }>>} Releases by OFFICIAL_PROJECTS id
+ */
+export async function getOfficialReleases() {
+    const file = await readJsonWithRecovery(OFFICIAL_RELEASES_FILE, null);
+    return file?.projects || {};
+}
+
+/**
+ * Remember the latest releases of official projects
+ * @param {Object<string, { lastRelease?: Object, lastPrerelease?: Object }>} changes - Fields to set, by project id
+ */
+export async function recordOfficialReleases(changes) {
+    await officialReleaseMutex.runExclusive(async () => {
+        const projects = await getOfficialReleases();
+        for (const [id, fields] of Object.entries(changes)) {
+            projects[id] = { ...projects[id], ...fields };
+        }
+
+        await writeJsonAtomic(OFFICIAL_RELEASES_FILE, { schemaVersion: SCHEMA_VERSIONS.officialReleases, projects });
+        log.debug({ projects: Object.keys(changes) }, 'Official releases saved');
+    });
+}
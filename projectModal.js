@@ -0,0 +1,206 @@
+import { ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } from 'discord.js';
+import { sanitizeString } from './utils/sanitize.js';
+import { validateUrl } from './utils/validators/url.js';
+import { validateChannelId } from './utils/validators/discord.js';
+import { parseRepoUrl } from './utils/forges/index.js';
+import { validateProject } from './utils/schemas.js';
+
+// Fields of a project that are edited through the project form
+export const PROJECT_FORM_FIELDS = ['name', 'description', 'repo', 'logo', 'statusUrl', 'developers'];
+
+// Maximum number of developer lines accepted per project
+const MAX_DEVELOPERS = 10;
+
+/**
+ * Format developers as editable text, one "name | link | discord_username | discord_channel" per line
+ * @param {Array} developers - Developer objects
+ * @returns {string}
+ */
+export function formatDevelopers(developers = []) {
+    return developers
+        .map(dev => {
+            if (typeof dev === 'string') return dev;
+            const parts = [dev.name, dev.link || '', dev.discord_username || '', dev.discord_channel || ''];
+            while (parts.length > 1 && !parts[parts.length - 1]) parts.pop();
+            return parts.join(' | ');
+        })
+        .join('\n');
+}
+
+/**
+ * Parse developer lines written in the formatDevelopers() format
+ * @param {string} text - Raw text from the modal
+ * @returns {{ developers: Array, errors: string[] }}
+ */
+export function parseDevelopers(text) {
+    const developers = [];
+    const errors = [];
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    if (lines.length > MAX_DEVELOPERS) {
+        errors.push(`At most ${MAX_DEVELOPERS} developers are allowed`);
+    }
+
+    lines.slice(0, MAX_DEVELOPERS).forEach((line, index) => {
+        const [name, link, discordUsername, discordChannel] = line.split('|').map(part => part.trim());
+        const safeName = sanitizeString(name, { maxLength: 100, allowNewlines: false });
+
+        if (!safeName) {
+            errors.push(`Developer line ${index + 1}: name is required`);
+            return;
+        }
+
+        const developer = { name: safeName };
+
+        if (link) {
+            const safeLink = validateUrl(link);
+            if (safeLink) {
+                developer.link = safeLink;
+            } else {
+                errors.push(`Developer line ${index + 1}: invalid link`);
+            }
+        }
+
+        if (discordUsername) {
+            developer.discord_username = sanitizeString(discordUsername, { maxLength: 32, allowNewlines: false, allowMarkdown: false });
+        }
+
+        if (discordChannel) {
+            const channelId = validateChannelId(discordChannel.replace(/^<#|>$/g, ''));
+            if (channelId) {
+                developer.discord_channel = channelId;
+            } else {
+                errors.push(`Developer line ${index + 1}: invalid Discord channel ID`);
+            }
+        }
+
+        developers.push(developer);
+    });
+
+    return { developers, errors };
+}
+
+/**
+ * Build a modal for entering or editing a project.
+ * Discord modals hold at most 5 inputs, so statusUrl is collected separately by the caller.
+ * @param {string} customId - Modal custom ID
+ * @param {string} title - Modal title
+ * @param {Object} project - Existing project to prefill (optional)
+ * @returns {ModalBuilder}
+ */
+export function buildProjectModal(customId, title, project = {}) {
+    const inputs = [
+        new TextInputBuilder()
+            .setCustomId('name')
+            .setLabel('Name')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(100),
+        new TextInputBuilder()
+            .setCustomId('description')
+            .setLabel('Description')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMaxLength(1000),
+        new TextInputBuilder()
+            .setCustomId('repo')
+            .setLabel('Repository URL')
+            .setPlaceholder('https://github.com/owner/repo')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(200),
+        new TextInputBuilder()
+            .setCustomId('logo')
+            .setLabel('Logo URL')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(false)
+            .setMaxLength(500),
+        new TextInputBuilder()
+            .setCustomId('developers')
+            .setLabel('Developers (one per line)')
+            .setPlaceholder('Name | https://github.com/name | discord_username | channel_id')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(false)
+            .setMaxLength(2000)
+    ];
+
+    const prefill = {
+        name: project.name,
+        description: project.description,
+        repo: project.repo,
+        logo: project.logo,
+        developers: formatDevelopers(project.developers)
+    };
+
+    for (const input of inputs) {
+        const value = prefill[input.data.custom_id];
+        if (value) input.setValue(value);
+    }
+
+    return new ModalBuilder()
+        .setCustomId(customId)
+        .setTitle(title)
+        .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+}
+
+/**
+ * Read and validate a submitted project modal
+ * @param {ModalSubmitInteraction} modalInteraction - The submitted modal
+ * @param {Object} options - Values that are not part of the modal
+ * @param {string} options.id - Project id
+ * @param {string} [options.statusUrl] - Status page URL
+ * @returns {{ valid: boolean, errors: string[], project?: Object }}
+ */
+export function parseProjectModal(modalInteraction, { id, statusUrl } = {}) {
+    const field = (name) => modalInteraction.fields.getTextInputValue(name).trim();
+    const errors = [];
+    const project = { id };
+
+    project.name = sanitizeString(field('name'), { maxLength: 100, allowNewlines: false });
+    if (!project.name) errors.push('Name is required');
+
+    const description = sanitizeString(field('description'), { maxLength: 1000 });
+    if (description) project.description = description;
+
+    if (field('repo')) {
+        const repo = parseRepoUrl(field('repo'));
+        if (repo) {
+            project.repo = repo.url;
+        } else {
+            errors.push('Repository must be a GitHub, GitLab, Codeberg/Gitea/Forgejo, or SourceHut URL like https://github.com/owner/repo');
+        }
+    }
+
+    if (field('logo')) {
+        const logo = validateUrl(field('logo'));
+        if (logo) {
+            project.logo = logo;
+        } else {
+            errors.push('Invalid logo URL');
+        }
+    }
+
+    if (statusUrl) {
+        const safeStatusUrl = validateUrl(statusUrl);
+        if (safeStatusUrl) {
+            project.statusUrl = safeStatusUrl;
+        } else {
+            errors.push('Invalid status URL');
+        }
+    }
+
+    const developerResult = parseDevelopers(field('developers'));
+    errors.push(...developerResult.errors);
+    if (developerResult.developers.length > 0) {
+        project.developers = developerResult.developers;
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    const validation = validateProject(project);
+    return validation.valid
+        ? { valid: true, errors: [], project }
+        : { valid: false, errors: validation.errors };
+}
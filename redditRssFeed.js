@@ -4,8 +4,7 @@ import { timerManager } from './utils/timerManager.js';
 import { redditLogger as log } from './utils/logger.js';
 import { addJitter } from './utils/jitter.js';
 import { truncate, sanitize, sanitizeUrl } from './utils/safeEmbed.js';
-import { writeJsonAtomicSync, readJsonWithRecoverySync } from './utils/atomicJson.js';
-import { POSTED_ITEMS_FILE } from './utils/paths.js';
+import { getStorage } from './utils/storage/index.js';
 
 const parser = new Parser({
     timeout: 20000, // 20 second timeout (faster retries)
@@ -55,34 +54,15 @@ async function fetchWithRetry(url, maxRetries = 3) {
     }
 }
 
-// Store to track already posted items (to avoid duplicates)
+// Store to track already posted items (to avoid duplicates), mirrored from storage
 let postedItems = new Set();
 
 /**
- * Load full posted items data from JSON file
+ * Load Reddit posted items from storage
  */
-function loadPostedItemsFile() {
-    return readJsonWithRecoverySync(POSTED_ITEMS_FILE, { redditPosts: [], updatePosts: [] });
-}
-
-/**
- * Save full posted items data to JSON file
- */
-function savePostedItemsFile(data) {
-    try {
-        writeJsonAtomicSync(POSTED_ITEMS_FILE, data);
-    } catch (error) {
-        log.error({ err: error }, 'Error saving posted items file');
-    }
-}
-
-/**
- * Load Reddit posted items from JSON file
- */
-function loadPostedItems() {
+async function loadPostedItems() {
     try {
-        const data = loadPostedItemsFile();
-        postedItems = new Set(data.redditPosts || []);
+        postedItems = new Set(await getStorage().listPosted('reddit'));
         log.info({ count: postedItems.size }, 'Loaded previously posted Reddit items');
     } catch (error) {
         log.error({ err: error }, 'Error loading posted items');
@@ -91,15 +71,13 @@ function loadPostedItems() {
 }
 
 /**
- * Save Reddit posted items to JSON file (keeps only the last MAX_STORED_ITEMS)
+ * Save newly posted Reddit items to storage (keeps only the last MAX_STORED_ITEMS)
+ * @param {string[]} links - Links of the posted items
  */
-function savePostedItems() {
+async function savePostedItems(links) {
     try {
-        const data = loadPostedItemsFile();
-        const itemsArray = Array.from(postedItems).slice(-MAX_STORED_ITEMS);
-        postedItems = new Set(itemsArray);
-        data.redditPosts = itemsArray;
-        savePostedItemsFile(data);
+        await getStorage().markPosted('reddit', links, MAX_STORED_ITEMS);
+        postedItems = new Set(await getStorage().listPosted('reddit'));
     } catch (error) {
         log.error({ err: error }, 'Error saving posted items');
     }
@@ -113,8 +91,8 @@ function savePostedItems() {
 async function initRedditFeed(client, channelId) {
     log.info('Starting Reddit RSS feed monitor');
 
-    // Load previously posted items from file
-    loadPostedItems();
+    // Load previously posted items from storage
+    await loadPostedItems();
 
     // Get the target Discord channel
     const channel = await client.channels.fetch(channelId);
@@ -130,13 +108,11 @@ async function initRedditFeed(client, channelId) {
         const previousCount = postedItems.size;
 
         // Merge current feed items into posted set
-        feed.items.forEach(item => {
-            postedItems.add(item.link);
-        });
+        const newLinks = [...new Set(feed.items.map(item => item.link))].filter(link => !postedItems.has(link));
 
-        const newCount = postedItems.size - previousCount;
+        const newCount = newLinks.length;
         if (newCount > 0) {
-            savePostedItems();
+            await savePostedItems(newLinks);
             log.info({ previousCount, newCount, totalCount: postedItems.size },
                 'Startup: marked current feed items as already posted');
         } else {
@@ -240,9 +216,9 @@ async function checkForNewPosts(channel) {
             }
         }
 
-        // Save to file if we posted anything
+        // Save to storage if we posted anything
         if (newItems.length > 0) {
-            savePostedItems();
+            await savePostedItems(newItems.map(item => item.link));
         }
     } catch (error) {
         log.error({ err: error }, 'Error checking RSS feed');
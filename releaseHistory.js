@@ -0,0 +1,87 @@
+import { createModuleLogger } from './utils/logger.js';
+import { getStorage } from './utils/storage/index.js';
+
+const log = createModuleLogger('release-history');
+
+// Releases kept in the history log; older ones are dropped
+export const MAX_RELEASE_HISTORY = 1000;
+
+// Units accepted by parseSince(), e.g. "12h", "7d", "2w", "3m"
+const SINCE_UNITS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    m: 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Log a detected release. Logging the same project and tag again replaces the earlier entry.
+ * @param {Object} release - Release to log
+ * @param {string} release.category - Category type like "plugins", or "official" for OFFICIAL_PROJECTS
+ * @param {string} release.project - Project reference from projectRef(), or "official:<id>"
+ * @param {string} release.name - Project name
+ * @param {string} release.tag - Release tag
+ * @param {string} release.url - Release page URL
+ * @param {string} release.releaseChannel - 'stable' or 'prerelease'
+ * @param {string} [release.publishedAt] - ISO publish date; defaults to now
+ */
+export async function recordRelease(release) {
+    const recordedAt = new Date().toISOString();
+    const publishedAt = release.publishedAt && !isNaN(Date.parse(release.publishedAt))
+        ? new Date(release.publishedAt).toISOString()
+        : recordedAt;
+
+    try {
+        await getStorage().addReleaseHistory({
+            id: `${release.project}@${release.tag}`,
+            ...release,
+            publishedAt,
+            recordedAt
+        }, MAX_RELEASE_HISTORY);
+    } catch (error) {
+        // The history is informational; a failed write must not stop the announcement
+        log.error({ err: error, project: release.project, tag: release.tag }, 'Failed to record release history');
+    }
+}
+
+/**
+ * Parse a relative duration like "7d" or an absolute date like "2026-10-01"
+ * @param {string} value - User input
+ * @param {number} [now] - Current time in ms
+ * @returns {Date|null} Start of the range, or null if the input is not understood
+ */
+export function parseSince(value, now = Date.now()) {
+    const input = (value || '').trim().toLowerCase();
+
+    const relative = input.match(/^(\d{1,4})\s*([hdwm])$/);
+    if (relative) {
+        return new Date(now - Number(relative[1]) * SINCE_UNITS[relative[2]]);
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(input)) {
+        const date = new Date(`${input}T00:00:00Z`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    return null;
+}
+
+/**
+ * Read one page of the release history
+ * @param {Object} [filter]
+ * @param {string} [filter.category] - Category type, or "official"
+ * @param {string} [filter.project] - Project reference
+ * @param {Date} [filter.since] - Only releases published at or after this date
+ * @param {number} [filter.page] - Zero-based page index
+ * @param {number} [filter.pageSize] - Releases per page
+ * @returns {Promise<{ releases: Array<Object>, total: number }>} Releases of the page, newest first, and the number of matches
+ */
+export async function getReleaseHistory({ category, project, since, page = 0, pageSize = 10 } = {}) {
+    return getStorage().listReleaseHistory({
+        category,
+        project,
+        since: since ? since.toISOString() : undefined,
+        offset: page * pageSize,
+        limit: pageSize
+    });
+}
@@ -3,41 +3,31 @@ import { timerManager } from './utils/timerManager.js';
 import { reminderLogger as log } from './utils/logger.js';
 import { validateReminders } from './utils/schemas.js';
 import { sanitizeString } from './utils/sanitize.js';
-import { writeJsonAtomic, readJsonWithRecovery } from './utils/atomicJson.js';
-import { reminderMutex } from './utils/asyncMutex.js';
-import { REMINDERS_FILE } from './utils/paths.js';
+import { getStorage } from './utils/storage/index.js';
 
 /**
- * Remove a reminder from the file (mutex-protected)
+ * Remove a reminder from storage
  * @param {string} reminderId - ID of the reminder to remove
  */
 export async function removeReminder(reminderId) {
-    return reminderMutex.runExclusive(async () => {
-        try {
-            const reminders = await readJsonWithRecovery(REMINDERS_FILE, []);
-            const filtered = reminders.filter(r => r.id !== reminderId);
-            await writeJsonAtomic(REMINDERS_FILE, filtered);
-        } catch (error) {
-            log.error({ err: error, reminderId }, 'Error removing reminder');
-        }
-    });
+    try {
+        await getStorage().removeReminder(reminderId);
+    } catch (error) {
+        log.error({ err: error, reminderId }, 'Error removing reminder');
+    }
 }
 
 /**
- * Add a reminder to the file (mutex-protected)
+ * Add a reminder to storage
  * @param {Object} reminder - Reminder object to add
  */
 export async function addReminder(reminder) {
-    return reminderMutex.runExclusive(async () => {
-        try {
-            const reminders = await readJsonWithRecovery(REMINDERS_FILE, []);
-            reminders.push(reminder);
-            await writeJsonAtomic(REMINDERS_FILE, reminders);
-        } catch (error) {
-            log.error({ err: error, reminderId: reminder.id }, 'Error adding reminder');
-            throw error;
-        }
-    });
+    try {
+        await getStorage().addReminder(reminder);
+    } catch (error) {
+        log.error({ err: error, reminderId: reminder.id }, 'Error adding reminder');
+        throw error;
+    }
 }
 
 /**
@@ -67,7 +57,7 @@ function canSendToChannel(channel) {
 // Load and restore reminders on bot startup
 export async function initializeReminders(client) {
     try {
-        const parsedReminders = await readJsonWithRecovery(REMINDERS_FILE, []);
+        const parsedReminders = await getStorage().listReminders();
 
         // Validate reminders against schema
         const validation = validateReminders(parsedReminders);
@@ -117,10 +107,8 @@ export async function initializeReminders(client) {
             }
         }
 
-        // Save only active reminders back to file (mutex-protected)
-        await reminderMutex.runExclusive(async () => {
-            await writeJsonAtomic(REMINDERS_FILE, activeReminders);
-        });
+        // Keep only active reminders in storage
+        await getStorage().replaceReminders(activeReminders);
 
         log.info({ count: activeReminders.length }, 'Restored active reminders');
     } catch (error) {
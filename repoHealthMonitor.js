@@ -0,0 +1,155 @@
+import cron from 'node-cron';
+import { EmbedBuilder } from 'discord.js';
+import { CATEGORY_INFO } from './config.js';
+import { timerManager } from './utils/timerManager.js';
+import { createModuleLogger } from './utils/logger.js';
+import { addPositiveJitter } from './utils/jitter.js';
+import { truncate, sanitize, sanitizeUrl, EMBED_LIMITS } from './utils/safeEmbed.js';
+import { githubRequest, parseGitHubRepo, getPacingDelay } from './utils/github.js';
+import { loadCatalog, listProjects, updateCatalog, findProject, getHealthFlag, STALE_PROJECT_DAYS } from './catalogManager.js';
+
+const log = createModuleLogger('repo-health');
+
+const FLAG_LABELS = {
+    archived: '📦 Archived',
+    stale: `💤 No commits for ${STALE_PROJECT_DAYS}+ days`
+};
+
+/**
+ * Fetch health signals for a GitHub repository
+ * @param {string} repoUrl - Repository URL
+ * @returns {Promise<Object|null>} Health entry, or null if the repo could not be read
+ */
+async function fetchRepoHealth(repoUrl) {
+    const repo = parseGitHubRepo(repoUrl);
+    if (!repo) return null;
+
+    const info = await githubRequest(`/repos/${repo.owner}/${repo.repo}`);
+    if (!info) return null;
+
+    // Latest commit on the default branch
+    const commits = await githubRequest(`/repos/${repo.owner}/${repo.repo}/commits?per_page=1`);
+    const lastCommit = commits?.[0]?.commit?.committer?.date || info.pushed_at;
+
+    const health = {
+        stars: info.stargazers_count ?? 0,
+        openIssues: info.open_issues_count ?? 0,
+        archived: Boolean(info.archived),
+        checkedAt: new Date().toISOString()
+    };
+    if (lastCommit) health.lastCommit = lastCommit;
+
+    return health;
+}
+
+/**
+ * Tell moderators about projects that became archived or stale
+ * @param {Client} client - Discord client
+ * @param {Array<{ item: Object, category: string, flag: string }>} flagged - Newly flagged projects
+ */
+async function reportFlaggedProjects(client, flagged) {
+    const channelId = process.env.MOD_CHANNEL_ID;
+    if (!channelId) {
+        log.info({ projects: flagged.map(({ item }) => item.id) }, 'Projects flagged, MOD_CHANNEL_ID not set so no report was sent');
+        return;
+    }
+
+    try {
+        const channel = await client.channels.fetch(channelId);
+        const lines = flagged.map(({ item, category, flag }) => {
+            const repoUrl = sanitizeUrl(item.repo);
+            const name = sanitize(item.name);
+            return `• ${repoUrl ? `[${name}](${repoUrl})` : `**${name}**`} (${CATEGORY_INFO[category].singular}) — ${FLAG_LABELS[flag]}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor(0xE67E22)
+            .setTitle('⚠️ Projects need attention')
+            .setDescription(truncate(lines.join('\n'), EMBED_LIMITS.DESCRIPTION))
+            .setFooter({ text: 'Consider checking with the developers or removing them with /catalog remove' })
+            .setTimestamp();
+
+        await channel.send({ embeds: [embed] });
+        log.info({ count: flagged.length }, 'Reported flagged projects to moderators');
+    } catch (error) {
+        log.error({ err: error, channelId }, 'Error reporting flagged projects');
+    }
+}
+
+/**
+ * Refresh repository health for every catalog project with a GitHub repo
+ * @param {Client} client - Discord client
+ */
+async function checkRepoHealth(client) {
+    try {
+        const catalog = await loadCatalog();
+        const results = [];
+        const projects = listProjects(catalog).filter(({ item }) => parseGitHubRepo(item.repo));
+
+        // Two requests per project, used to pace them within the rate limit
+        let pending = projects.length * 2;
+
+        for (const { item, category } of projects) {
+            try {
+                const health = await fetchRepoHealth(item.repo);
+                if (health) results.push({ category, id: item.id, health });
+            } catch (error) {
+                log.error({ err: error, name: item.name }, 'Error checking repository health');
+            }
+
+            pending -= 2;
+
+            // Delay between API calls, paced to the rate limit (tracked for graceful shutdown)
+            const completed = await timerManager.sleep(`repo-health-delay-${item.id}`, getPacingDelay(pending));
+            if (!completed) return;
+        }
+
+        if (results.length === 0) return;
+
+        const flagged = [];
+        const result = await updateCatalog(data => {
+            for (const { category, id, health } of results) {
+                const current = findProject(data, category, id);
+                if (!current) continue;
+
+                const previousFlag = getHealthFlag(current);
+                current.health = health;
+                const flag = getHealthFlag(current);
+
+                if (flag && flag !== previousFlag) {
+                    flagged.push({ item: current, category, flag });
+                }
+            }
+        });
+
+        if (!result.success) {
+            log.error({ errors: result.errors }, 'Data validation failed, repository health not saved');
+            return;
+        }
+
+        log.info({ checked: results.length, flagged: flagged.length }, 'Repository health updated');
+        if (flagged.length > 0) {
+            await reportFlaggedProjects(client, flagged);
+        }
+    } catch (error) {
+        log.error({ err: error }, 'Error during repository health check');
+    }
+}
+
+export function initializeRepoHealthMonitor(client) {
+    // Check daily (using timerManager for graceful shutdown)
+    const job = cron.schedule('0 5 * * *', async () => {
+        log.info('Running scheduled repository health check');
+        await checkRepoHealth(client);
+    });
+    timerManager.registerCron('repo-health', job);
+
+    // Initial check after the first update check has had time to run
+    const initialDelay = addPositiveJitter(5 * 60 * 1000, 0.5); // 5-7.5 minutes
+    timerManager.setTimeout('initial-repo-health-check', async () => {
+        log.info('Running initial repository health check');
+        await checkRepoHealth(client);
+    }, initialDelay);
+
+    log.info({ staleAfterDays: STALE_PROJECT_DAYS }, 'Repository health monitor initialized');
+}
@@ -0,0 +1,32 @@
+/**
+ * Export the project catalog (data/data.json) for use outside the bot
+ *
+ * Usage: npm run export-catalog -- [--format markdown|jsonfeed|csv] [--output <file>]
+ * Writes to stdout when no output file is given. Run from the repository root.
+ */
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { loadCatalog } from '../catalogManager.js';
+import { exportCatalog, EXPORT_FORMATS } from '../catalogExporter.js';
+
+const { values } = parseArgs({
+    options: {
+        format: { type: 'string', short: 'f', default: 'markdown' },
+        output: { type: 'string', short: 'o' }
+    }
+});
+
+if (!EXPORT_FORMATS[values.format]) {
+    console.error(`Unknown format "${values.format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    process.exit(1);
+}
+
+const { content } = exportCatalog(await loadCatalog(), values.format);
+
+if (values.output) {
+    await fs.writeFile(values.output, content, 'utf8');
+    console.error(`Wrote ${EXPORT_FORMATS[values.format].label} to ${values.output}`);
+} else {
+    process.stdout.write(content);
+}
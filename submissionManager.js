@@ -0,0 +1,168 @@
+import { randomUUID } from 'crypto';
+import { createModuleLogger } from './utils/logger.js';
+import { validateSubmissions, SCHEMA_VERSIONS } from './utils/schemas.js';
+import { writeJsonAtomic, readJsonWithRecovery } from './utils/atomicJson.js';
+import { submissionMutex } from './utils/asyncMutex.js';
+import { SUBMISSIONS_FILE } from './utils/paths.js';
+import { addProject } from './catalogManager.js';
+
+const log = createModuleLogger('submissions');
+
+// Maximum number of pending submissions per user
+export const MAX_PENDING_PER_USER = 3;
+
+// Reviewed submissions are kept this long for reference, then pruned
+const REVIEWED_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Load all valid submissions from the file
+ * @returns {Promise<Array>}
+ */
+async function loadSubmissions() {
+    const raw = await readJsonWithRecovery(SUBMISSIONS_FILE, { schemaVersion: SCHEMA_VERSIONS.submissions, submissions: [] });
+    const validation = validateSubmissions(raw.submissions);
+    if (!validation.valid) {
+        log.warn({ errors: validation.errors }, 'Some submissions failed validation');
+    }
+    return validation.validSubmissions;
+}
+
+/**
+ * Write all submissions to the file
+ * @param {Array} submissions - Submissions to save
+ */
+async function saveSubmissions(submissions) {
+    await writeJsonAtomic(SUBMISSIONS_FILE, { schemaVersion: SCHEMA_VERSIONS.submissions, submissions });
+}
+
+/**
+ * Drop reviewed submissions older than the retention period
+ * @param {Array} submissions - All submissions
+ * @returns {Array}
+ */
+function pruneReviewed(submissions) {
+    const cutoff = Date.now() - REVIEWED_RETENTION_MS;
+    return submissions.filter(s => s.status === 'pending' || !s.reviewedAt || Date.parse(s.reviewedAt) > cutoff);
+}
+
+/**
+ * Get a submission by id
+ * @param {string} id - Submission id
+ * @returns {Promise<Object|null>}
+ */
+export async function getSubmission(id) {
+    const submissions = await loadSubmissions();
+    return submissions.find(s => s.id === id) || null;
+}
+
+/**
+ * Create a pending submission (mutex-protected)
+ * @param {Object} params
+ * @param {string} params.category - Category type: 'clients', 'plugins', or 'services'
+ * @param {Object} params.project - Validated project item
+ * @param {string} params.submitterId - Discord user ID of the submitter
+ * @returns {Promise<{ success: boolean, error?: string, submission?: Object }>}
+ */
+export async function createSubmission({ category, project, submitterId }) {
+    return submissionMutex.runExclusive(async () => {
+        const submissions = pruneReviewed(await loadSubmissions());
+        const pending = submissions.filter(s => s.status === 'pending');
+
+        if (pending.filter(s => s.submitterId === submitterId).length >= MAX_PENDING_PER_USER) {
+            return { success: false, error: `You already have ${MAX_PENDING_PER_USER} submissions awaiting review.` };
+        }
+
+        if (pending.some(s => s.project.id === project.id)) {
+            return { success: false, error: `"${project.name}" is already awaiting review.` };
+        }
+
+        const submission = {
+            id: randomUUID(),
+            status: 'pending',
+            category,
+            project,
+            submitterId,
+            submittedAt: new Date().toISOString()
+        };
+
+        submissions.push(submission);
+        await saveSubmissions(submissions);
+        log.info({ submissionId: submission.id, submitterId, projectId: project.id }, 'Submission created');
+
+        return { success: true, submission };
+    });
+}
+
+/**
+ * Record where the review message for a submission was posted (mutex-protected)
+ * @param {string} id - Submission id
+ * @param {Message} message - Review message
+ */
+export async function setReviewMessage(id, message) {
+    return submissionMutex.runExclusive(async () => {
+        const submissions = await loadSubmissions();
+        const submission = submissions.find(s => s.id === id);
+        if (!submission) return;
+
+        submission.reviewChannelId = message.channelId;
+        submission.reviewMessageId = message.id;
+        await saveSubmissions(submissions);
+    });
+}
+
+/**
+ * Delete a submission (mutex-protected), e.g. when its review message could not be posted
+ * @param {string} id - Submission id
+ */
+export async function deleteSubmission(id) {
+    return submissionMutex.runExclusive(async () => {
+        const submissions = await loadSubmissions();
+        const remaining = submissions.filter(s => s.id !== id);
+        if (remaining.length === submissions.length) return;
+
+        await saveSubmissions(remaining);
+        log.info({ submissionId: id }, 'Submission deleted');
+    });
+}
+
+/**
+ * Record a moderator decision on a pending submission (mutex-protected).
+ * Approving merges the project into data.json before the decision is saved.
+ * @param {string} id - Submission id
+ * @param {string} status - 'approved', 'rejected', or 'changes_requested'
+ * @param {Object} params
+ * @param {string} params.reviewerId - Discord user ID of the moderator
+ * @param {string} [params.note] - Reason or requested changes
+ * @returns {Promise<{ success: boolean, error?: string, submission?: Object }>}
+ */
+export async function decideSubmission(id, status, { reviewerId, note }) {
+    return submissionMutex.runExclusive(async () => {
+        const submissions = await loadSubmissions();
+        const submission = submissions.find(s => s.id === id);
+
+        if (!submission) {
+            return { success: false, error: 'Submission not found.' };
+        }
+
+        if (submission.status !== 'pending') {
+            return { success: false, error: `This submission was already ${submission.status.replace('_', ' ')}.`, submission };
+        }
+
+        if (status === 'approved') {
+            const result = await addProject(submission.category, submission.project);
+            if (!result.success) {
+                return { success: false, error: result.errors.join(', '), submission };
+            }
+        }
+
+        submission.status = status;
+        submission.reviewerId = reviewerId;
+        submission.reviewedAt = new Date().toISOString();
+        if (note) submission.note = note;
+
+        await saveSubmissions(submissions);
+        log.info({ submissionId: id, status, reviewerId }, 'Submission reviewed');
+
+        return { success: true, submission };
+    });
+}
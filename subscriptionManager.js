@@ -0,0 +1,113 @@
+import { CATEGORY_INFO } from './config.js';
+import { createModuleLogger } from './utils/logger.js';
+import { getStorage } from './utils/storage/index.js';
+import { parseProjectRef, findProject } from './catalogManager.js';
+
+const log = createModuleLogger('subscriptions');
+
+// How a subscriber hears about a release
+export const DELIVERY_METHODS = {
+    dm: 'Direct message',
+    mention: 'Mention in the announcement'
+};
+
+// Maximum number of projects one user can follow (one remove button each in /subscriptions)
+export const MAX_SUBSCRIPTIONS = 25;
+
+// Mentions per announcement; further "mention" subscribers get a DM instead
+const MAX_MENTIONS = 50;
+
+/**
+ * Subscribe a user to a project's releases, or change how they are notified
+ * @param {string} userId - Discord user ID
+ * @param {string} project - Project reference from projectRef()
+ * @param {string} delivery - Key of DELIVERY_METHODS
+ * @returns {Promise<{ success: boolean, updated?: boolean, error?: string }>}
+ */
+export async function subscribe(userId, project, delivery) {
+    const existing = await getStorage().listSubscriptions({ userId });
+    const updated = existing.some(sub => sub.project === project);
+
+    if (!updated && existing.length >= MAX_SUBSCRIPTIONS) {
+        return { success: false, error: `You can follow at most ${MAX_SUBSCRIPTIONS} projects. Remove some with /subscriptions first.` };
+    }
+
+    await getStorage().addSubscription({ userId, project, delivery, createdAt: new Date().toISOString() });
+    log.info({ userId, project, delivery, updated }, 'Subscription saved');
+    return { success: true, updated };
+}
+
+/**
+ * Remove a user's subscription to a project
+ * @param {string} userId - Discord user ID
+ * @param {string} project - Project reference
+ * @returns {Promise<boolean>} Whether the user was subscribed
+ */
+export async function unsubscribe(userId, project) {
+    const removed = await getStorage().removeSubscription(userId, project);
+    if (removed) log.info({ userId, project }, 'Subscription removed');
+    return removed;
+}
+
+/**
+ * List a user's subscriptions
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Array<{ userId: string, project: string, delivery: string, createdAt: string }>>}
+ */
+export async function getSubscriptions(userId) {
+    return getStorage().listSubscriptions({ userId });
+}
+
+/**
+ * Look up a followed project, which may have been removed from the catalog since
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @param {string} ref - Project reference
+ * @returns {{ label: string, item: Object|null, category: string|null }} Label like "Streamyfin (Third Party Client)"
+ */
+export function resolveSubscription(data, ref) {
+    const parsed = parseProjectRef(ref);
+    const item = parsed && findProject(data, parsed.category, parsed.id);
+    if (!item) return { label: `${parsed?.id || ref} (removed)`, item: null, category: null };
+
+    return { label: `${item.name} (${CATEGORY_INFO[parsed.category].singular})`, item, category: parsed.category };
+}
+
+/**
+ * Split a project's subscribers into users to mention in the announcement and users to DM
+ * @param {string} project - Project reference
+ * @returns {Promise<{ mentions: string[], directMessages: string[] }>} User IDs
+ */
+export async function getSubscribers(project) {
+    const subscribers = await getStorage().listSubscriptions({ project });
+    const mentions = subscribers.filter(sub => sub.delivery === 'mention').map(sub => sub.userId);
+    const directMessages = subscribers.filter(sub => sub.delivery !== 'mention').map(sub => sub.userId);
+
+    return {
+        mentions: mentions.slice(0, MAX_MENTIONS),
+        directMessages: [...directMessages, ...mentions.slice(MAX_MENTIONS)]
+    };
+}
+
+/**
+ * DM a release announcement to subscribers. Users with closed DMs are skipped.
+ * @param {Client} client - Discord client
+ * @param {string[]} userIds - Subscribers to message
+ * @param {Object} message - Message options (content, embeds)
+ */
+export async function sendSubscriberMessages(client, userIds, message) {
+    let sent = 0;
+
+    for (const userId of userIds) {
+        try {
+            const user = await client.users.fetch(userId);
+            await user.send(message);
+            sent++;
+        } catch (error) {
+            log.debug({ err: error, userId }, 'Could not DM subscriber');
+        }
+    }
+
+    if (userIds.length > 0) {
+        log.info({ sent, failed: userIds.length - sent }, 'Sent release DMs to subscribers');
+    }
+}
@@ -0,0 +1,197 @@
+import cron from 'node-cron';
+import { randomUUID } from 'crypto';
+import { EmbedBuilder } from 'discord.js';
+import { CATEGORY_INFO, COLORS } from './config.js';
+import { timerManager } from './utils/timerManager.js';
+import { createModuleLogger } from './utils/logger.js';
+import { truncate, sanitize, sanitizeUrl, EMBED_LIMITS } from './utils/safeEmbed.js';
+import { getStorage } from './utils/storage/index.js';
+import { getCategoryRoles } from './updateRoleManager.js';
+
+const log = createModuleLogger('update-digest');
+
+// Digest frequencies for UPDATE_DIGEST_CATEGORIES and when their digest is posted (server time)
+export const DIGEST_FREQUENCIES = {
+    daily: { schedule: '0 9 * * *', label: 'Daily' },
+    weekly: { schedule: '0 9 * * 1', label: 'Weekly' }
+};
+
+/**
+ * Read the digest categories from UPDATE_DIGEST_CATEGORIES, e.g. "plugins=weekly,services=daily"
+ * @returns {Object<string, string>} Frequency by category type
+ */
+export function getDigestFrequencies() {
+    const frequencies = {};
+
+    for (const entry of (process.env.UPDATE_DIGEST_CATEGORIES || '').split(',')) {
+        const [category, frequency] = entry.split('=').map(part => part.trim().toLowerCase());
+        if (category in CATEGORY_INFO && frequency in DIGEST_FREQUENCIES) {
+            frequencies[category] = frequency;
+        }
+    }
+
+    return frequencies;
+}
+
+/**
+ * @param {string} category - Category type like "plugins"
+ * @returns {string|null} Digest frequency of the category, or null if its releases are posted right away
+ */
+export function getDigestFrequency(category) {
+    return getDigestFrequencies()[category] || null;
+}
+
+/**
+ * Keep a release for the next digest of its category
+ * @param {Object} release - Release to list
+ * @param {string} release.category - Category type like "plugins"
+ * @param {string} release.project - Project ID
+ * @param {string} release.name - Project name
+ * @param {string} release.tag - Release tag
+ * @param {string} release.url - Release page URL
+ * @param {string} release.releaseChannel - 'stable' or 'prerelease'
+ * @param {string} release.channelId - Channel the release would have been announced in
+ * @param {string} [release.publishedAt] - ISO publish date
+ */
+export async function queueDigestRelease(release) {
+    const entry = { id: randomUUID(), ...release, queuedAt: new Date().toISOString() };
+    await getStorage().addDigestEntry(entry);
+    log.info({ category: entry.category, project: entry.project, tag: entry.tag }, 'Release queued for digest');
+}
+
+/**
+ * Format the releases of one project as a digest line, e.g. "• **Name** — [v1.2](url) · 🧪 [v1.3-rc1](url)"
+ * @param {Array<Object>} entries - Digest entries of one project, oldest first
+ * @returns {string}
+ */
+function formatDigestLine(entries) {
+    const releases = entries.map(entry => {
+        const tag = truncate(sanitize(entry.tag), 50);
+        const url = sanitizeUrl(entry.url);
+        const link = url ? `[${tag}](${url})` : tag;
+        return entry.releaseChannel === 'prerelease' ? `🧪 ${link}` : link;
+    });
+    return `• **${truncate(sanitize(entries[0].name), 100)}** — ${releases.join(' · ')}`;
+}
+
+/**
+ * Split the projects of a digest into embed descriptions that fit Discord's limit
+ * @param {Array<Array<Object>>} projects - Digest entries grouped by project
+ * @returns {Array<{ description: string, ids: string[] }>} Pages with the IDs of the entries they list
+ */
+function paginateDigest(projects) {
+    const pages = [];
+    let current = null;
+
+    for (const entries of projects) {
+        const line = formatDigestLine(entries);
+        const ids = entries.map(entry => entry.id);
+        if (current && current.description.length + 1 + line.length <= EMBED_LIMITS.DESCRIPTION) {
+            current.description += `\n${line}`;
+            current.ids.push(...ids);
+        } else {
+            current = { description: line, ids };
+            pages.push(current);
+        }
+    }
+
+    return pages;
+}
+
+/**
+ * Post the digest of one category to one channel.
+ * Each page's entries are removed from the queue once the page was sent, so a failed post only repeats unsent pages.
+ * @param {Client} client - Discord client
+ * @param {string} frequency - Key of DIGEST_FREQUENCIES
+ * @param {string} category - Category type like "plugins"
+ * @param {string} channelId - Channel to post in
+ * @param {Array<Object>} entries - Queued entries, oldest first
+ */
+async function sendDigest(client, frequency, category, channelId, entries) {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel) throw new Error(`Digest channel ${channelId} not found`);
+
+    // One line per project, listing every release it published since the last digest
+    const byProject = new Map();
+    for (const entry of entries) {
+        byProject.set(entry.project, [...(byProject.get(entry.project) || []), entry]);
+    }
+    const pages = paginateDigest([...byProject.values()].sort((a, b) => a[0].name.localeCompare(b[0].name)));
+    const since = new Date(entries[0].queuedAt);
+    const roleId = getCategoryRoles()[category];
+
+    for (const [index, { description, ids }] of pages.entries()) {
+        const embed = new EmbedBuilder()
+            .setColor(COLORS[category] || 0x00FF00)
+            .setTitle(truncate(`📰 ${DIGEST_FREQUENCIES[frequency].label} Digest · ${CATEGORY_INFO[category].name}`, EMBED_LIMITS.TITLE))
+            .setDescription(description)
+            .setFooter({
+                text: truncate(`${byProject.size} project${byProject.size === 1 ? '' : 's'} released since ${since.toLocaleDateString()}${pages.length > 1 ? ` · Page ${index + 1}/${pages.length}` : ''}`, EMBED_LIMITS.FOOTER_TEXT)
+            })
+            .setTimestamp();
+
+        // The category's update role is mentioned once per digest
+        const mention = index === 0 && roleId;
+        await channel.send({
+            content: mention ? `<@&${roleId}>` : undefined,
+            embeds: [embed],
+            allowedMentions: { roles: mention ? [roleId] : [] }
+        });
+        await getStorage().removeDigestEntries(ids);
+    }
+
+    log.info({ frequency, category, channelId, projects: byProject.size, releases: entries.length }, 'Sent release digest');
+}
+
+/**
+ * Post the digests of every category with the given frequency. Entries stay queued until the page listing them was sent.
+ * @param {Client} client - Discord client
+ * @param {string} frequency - Key of DIGEST_FREQUENCIES
+ */
+export async function postDigest(client, frequency) {
+    const storage = getStorage();
+
+    for (const [category, categoryFrequency] of Object.entries(getDigestFrequencies())) {
+        if (categoryFrequency !== frequency) continue;
+
+        const entries = await storage.listDigestEntries(category);
+        if (entries.length === 0) {
+            log.debug({ frequency, category }, 'No releases for digest');
+            continue;
+        }
+
+        // Stable releases and pre-releases can be announced in different channels
+        const byChannel = new Map();
+        for (const entry of entries) {
+            byChannel.set(entry.channelId, [...(byChannel.get(entry.channelId) || []), entry]);
+        }
+
+        for (const [channelId, channelEntries] of byChannel) {
+            try {
+                await sendDigest(client, frequency, category, channelId, channelEntries);
+            } catch (error) {
+                log.error({ err: error, frequency, category, channelId }, 'Error sending release digest, unsent releases kept for the next one');
+            }
+        }
+    }
+}
+
+/**
+ * Schedule the digests of the categories in UPDATE_DIGEST_CATEGORIES
+ * @param {Client} client - Discord client
+ */
+export function initializeUpdateDigest(client) {
+    const frequencies = getDigestFrequencies();
+    const used = new Set(Object.values(frequencies));
+    if (used.size === 0) return;
+
+    for (const frequency of used) {
+        const job = cron.schedule(DIGEST_FREQUENCIES[frequency].schedule, async () => {
+            log.info({ frequency }, 'Posting scheduled release digest');
+            await postDigest(client, frequency);
+        });
+        timerManager.registerCron(`update-digest-${frequency}`, job);
+    }
+
+    log.info({ categories: frequencies }, 'Release digests scheduled');
+}
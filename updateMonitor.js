@@ -1,104 +1,40 @@
 import cron from 'node-cron';
-import { EmbedBuilder } from 'discord.js';
-import { COLORS } from './config.js';
+import { EmbedBuilder, MessageFlags, ThreadAutoArchiveDuration } from 'discord.js';
+import { COLORS, OFFICIAL_PROJECTS, categoryFromDataKey } from './config.js';
 import { timerManager } from './utils/timerManager.js';
 import { updateLogger as log } from './utils/logger.js';
-import { addJitter, addPositiveJitter } from './utils/jitter.js';
+import { addPositiveJitter } from './utils/jitter.js';
 import { truncate, sanitize, sanitizeUrl, EMBED_LIMITS } from './utils/safeEmbed.js';
-import { writeJsonAtomic, writeJsonAtomicSync, readJsonWithRecoverySync, readJsonWithRecovery } from './utils/atomicJson.js';
-import { validateDataFile } from './utils/schemas.js';
-import { DATA_FILE, POSTED_ITEMS_FILE } from './utils/paths.js';
+import { getStorage } from './utils/storage/index.js';
+import { renderReleaseNotes, splitReleaseNotes } from './utils/releaseNotes.js';
+import { fetchLatestReleases, parseRepoUrl, getRepoLinkText } from './utils/forges/index.js';
+import { loadCatalog, updateCatalog, getReleasePolicy, projectRef } from './catalogManager.js';
+import { getSubscribers, sendSubscriberMessages } from './subscriptionManager.js';
+import { getAnnouncementRoles } from './updateRoleManager.js';
+import { getOfficialReleases, recordOfficialReleases } from './officialReleaseManager.js';
+import { getDigestFrequency, queueDigestRelease } from './updateDigest.js';
+import { recordRelease } from './releaseHistory.js';
 
-const FETCH_TIMEOUT = 15000; // 15 second timeout
-const MAX_RETRIES = 3;
-
-/**
- * Fetch with timeout support
- * @param {string} url - URL to fetch
- * @param {object} options - fetch options
- * @param {number} timeout - timeout in ms
- * @returns {Promise<Response>}
- */
-async function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOUT) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+const MAX_STORED_UPDATES = 10;
 
-    try {
-        const response = await fetch(url, {
-            ...options,
-            signal: controller.signal
-        });
-        return response;
-    } finally {
-        clearTimeout(timeoutId);
-    }
-}
+// Catalog field that remembers the last announced release of each channel
+const LAST_RELEASE_FIELDS = {
+    stable: 'lastRelease',
+    prerelease: 'lastPrerelease'
+};
 
-/**
- * Fetch with retry logic and exponential backoff
- * @param {string} url - URL to fetch
- * @param {object} options - fetch options
- * @param {number} maxRetries - maximum retry attempts
- * @returns {Promise<Response>}
- */
-async function fetchWithRetry(url, options = {}, maxRetries = MAX_RETRIES) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            return await fetchWithTimeout(url, options);
-        } catch (error) {
-            if (attempt === maxRetries) throw error;
-
-            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
-            log.warn({ attempt, maxRetries, delaySeconds: delay / 1000, error: error.message }, 'GitHub fetch failed, retrying');
-
-            // Use tracked sleep for graceful shutdown
-            const completed = await timerManager.sleep(`github-retry-${url}-${attempt}`, delay);
-            if (!completed) {
-                throw new Error('GitHub fetch cancelled due to shutdown');
-            }
-        }
-    }
-}
+// Release notes shown in the announcement embed; longer notes continue in a thread
+const NOTES_PREVIEW_LENGTH = 1500;
 
-const MAX_STORED_UPDATES = 10;
 const UPDATE_CHANNEL_ID = process.env.UPDATE_CHANNEL_ID;
 
-/**
- * Load full posted items data from JSON file
- */
-function loadPostedItemsFile() {
-    return readJsonWithRecoverySync(POSTED_ITEMS_FILE, { redditPosts: [], updatePosts: [] });
-}
-
-/**
- * Save full posted items data to JSON file
- */
-function savePostedItemsFile(data) {
-    try {
-        writeJsonAtomicSync(POSTED_ITEMS_FILE, data);
-    } catch (error) {
-        log.error({ err: error }, 'Error saving posted items file');
-    }
-}
+// Optional channel for unstable official builds (release candidates and betas)
+const OFFICIAL_UNSTABLE_CHANNEL_ID = process.env.OFFICIAL_UNSTABLE_CHANNEL_ID;
 
-/**
- * Check if an update has already been posted
- */
-function isUpdatePosted(releaseKey) {
-    const data = loadPostedItemsFile();
-    return (data.updatePosts || []).includes(releaseKey);
-}
+const JELLYFIN_ICON_URL = 'https://raw.githubusercontent.com/jellyfin/jellyfin-ux/master/branding/web/icon-transparent.png';
 
-/**
- * Mark an update as posted
- */
-function markUpdatePosted(releaseKey) {
-    const data = loadPostedItemsFile();
-    const updates = data.updatePosts || [];
-    updates.push(releaseKey);
-    data.updatePosts = updates.slice(-MAX_STORED_UPDATES);
-    savePostedItemsFile(data);
-}
+// Paced checks can outlast the hourly schedule while waiting for the rate limit to reset
+let checkInProgress = false;
 
 export async function initializeUpdateMonitor(client) {
     log.info('Initializing update monitor');
@@ -126,62 +62,50 @@ export async function initializeUpdateMonitor(client) {
 }
 
 async function checkForUpdates(client) {
+    if (checkInProgress) {
+        log.info('Previous update check is still running, skipping this one');
+        return;
+    }
+    checkInProgress = true;
+
     try {
-        const jsonData = await readJsonWithRecovery(DATA_FILE, { third_party_clients: [], plugins: [], services: [] });
+        const jsonData = await loadCatalog();
         let hasUpdates = false;
 
+        // Fetch every tracked repo's latest releases up front, through the adapter of its forge
+        const releases = await fetchLatestReleases([
+            ...Object.values(jsonData)
+                .filter(Array.isArray)
+                .flat()
+                .filter(item => item.repo)
+                .map(item => ({ url: item.repo, ...getReleasePolicy(item) })),
+            ...OFFICIAL_PROJECTS.map(project => ({ url: project.repo, stable: true, prerelease: true }))
+        ]);
+
         // Check third_party_clients, plugins, and services
         for (const [category, items] of Object.entries(jsonData)) {
             if (!Array.isArray(items)) continue;
             
             for (const item of items) {
                 try {
-                    if (!item.repo) continue;
-                    
-                    const latestRelease = await fetchLatestRelease(item.repo);
-                    
-                    if (latestRelease && (!item.lastRelease ||
-                        latestRelease.tag_name !== item.lastRelease.tag)) {
-
-                        // Create unique key for this release
-                        const releaseKey = `${item.name}:${latestRelease.tag_name}`;
-
-                        // Check if already posted (duplicate prevention on restart)
-                        if (isUpdatePosted(releaseKey)) {
-                            log.debug({ releaseKey }, 'Skipping already posted release');
-                            item.lastRelease = {
-                                tag: latestRelease.tag_name,
-                                url: latestRelease.html_url,
-                                published_at: latestRelease.published_at
-                            };
-                            hasUpdates = true;
-                            continue;
-                        }
-
-                        // New release detected
-                        log.info({ name: item.name, tag: latestRelease.tag_name }, 'New release detected');
+                    // Repos without a result could not be checked this time
+                    if (!item.repo || !releases.has(item.repo)) continue;
 
-                        // Update item data
-                        item.lastRelease = {
-                            tag: latestRelease.tag_name,
-                            url: latestRelease.html_url,
-                            published_at: latestRelease.published_at
-                        };
+                    const latest = releases.get(item.repo);
+                    const policy = getReleasePolicy(item);
 
-                        // Send notification
-                        await sendUpdateNotification(client, item, latestRelease, category);
+                    // Plugins imported from a manifest are only recorded on their first check, like official projects
+                    const firstCheck = Boolean(item.manifest) && !item.lastChecked;
 
-                        // Mark as posted
-                        markUpdatePosted(releaseKey);
-                        hasUpdates = true;
+                    for (const channel of Object.keys(LAST_RELEASE_FIELDS)) {
+                        if (policy[channel] && await processRelease(client, item, category, latest[channel], channel, !firstCheck)) {
+                            hasUpdates = true;
+                        }
                     }
 
                     item.lastChecked = new Date().toISOString();
-
-                    // Jittered delay between API calls to avoid rate limiting (tracked for graceful shutdown)
-                    const delay = addJitter(1000, 0.5); // 500-1500ms
-                    await timerManager.sleep(`update-check-delay-${item.name}`, delay);
-                    
+                    // Save lastChecked of a first check even without releases, so a later first release is announced
+                    if (firstCheck) hasUpdates = true;
                 } catch (error) {
                     log.error({ err: error, name: item.name }, 'Error checking updates for item');
                 }
@@ -189,78 +113,246 @@ async function checkForUpdates(client) {
         }
 
         if (hasUpdates) {
-            // Validate data before saving to prevent corruption
-            const validation = validateDataFile(jsonData);
-            if (!validation.valid) {
-                log.error({ errors: validation.errors }, 'Data validation failed, not saving');
-            } else {
-                // Save updated data atomically
-                await writeJsonAtomic(DATA_FILE, jsonData);
+            // Merge tracked release data into the current catalog so edits made during the check are kept
+            const result = await updateCatalog(data => {
+                for (const [category, items] of Object.entries(jsonData)) {
+                    if (!Array.isArray(items) || !Array.isArray(data[category])) continue;
+
+                    for (const item of items) {
+                        const current = data[category].find(entry => entry.id === item.id);
+                        if (!current) continue;
+                        if (item.lastRelease) current.lastRelease = item.lastRelease;
+                        if (item.lastPrerelease) current.lastPrerelease = item.lastPrerelease;
+                        if (item.lastChecked) current.lastChecked = item.lastChecked;
+                    }
+                }
+            });
+            if (!result.success) {
+                log.error({ errors: result.errors }, 'Data validation failed, not saving');
             }
         }
 
+        await checkOfficialReleases(client, releases);
+
     } catch (error) {
         log.error({ err: error }, 'Error during update check');
+    } finally {
+        checkInProgress = false;
     }
 }
 
-async function fetchLatestRelease(repoUrl) {
-    // Extract owner/repo from GitHub URL
-    const match = repoUrl.match(/github\.com\/([^\/]+)\/([^\/]+)/);
-    if (!match) return null;
+/**
+ * Announce a project's release if it is new for the given channel
+ * @param {Client} client - Discord client
+ * @param {Object} item - Project item, updated in place
+ * @param {string} category - data.json category key
+ * @param {Object|null} release - Latest release of the channel ({ tag, url, published_at, body })
+ * @param {'stable'|'prerelease'} channel - Release channel
+ * @param {boolean} [announce=true] - Whether to announce the release, or only record it
+ * @returns {Promise<boolean>} Whether the item's release data changed
+ */
+async function processRelease(client, item, category, release, channel, announce = true) {
+    const field = LAST_RELEASE_FIELDS[channel];
+    if (!release || release.tag === item[field]?.tag) return false;
+
+    // Create unique key for this release
+    const releaseKey = `${item.name}:${release.tag}`;
+
+    item[field] = {
+        tag: release.tag,
+        url: release.url,
+        published_at: release.published_at
+    };
+
+    // Check if already posted (duplicate prevention on restart)
+    if (await getStorage().hasPosted('update', releaseKey)) {
+        log.debug({ releaseKey }, 'Skipping already posted release');
+        return true;
+    }
 
-    const [, owner, repo] = match;
-    const url = `https://api.github.com/repos/${owner}/${repo}/releases/latest`;
+    if (announce) {
+        // New release detected
+        log.info({ name: item.name, tag: release.tag, channel }, 'New release detected');
 
-    try {
-        const response = await fetchWithRetry(url, {
-            headers: {
-                'User-Agent': 'Jellyfin-Community-Bot',
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
+        // Send notification
+        await sendUpdateNotification(client, item, release, category, channel);
+    } else {
+        log.debug({ name: item.name, tag: release.tag, channel }, 'Recorded current release of imported plugin');
+    }
 
-        if (!response.ok) {
-            if (response.status === 404) {
-                // No releases found
-                return null;
-            }
+    const categoryType = categoryFromDataKey(category);
+    await recordRelease({
+        category: categoryType,
+        project: projectRef(categoryType, item.id),
+        name: item.name,
+        tag: release.tag,
+        url: release.url,
+        releaseChannel: channel,
+        publishedAt: release.published_at
+    });
 
-            // Handle rate limiting
-            if (response.status === 403 || response.status === 429) {
-                const remaining = response.headers.get('X-RateLimit-Remaining');
-                const resetTime = response.headers.get('X-RateLimit-Reset');
-                const retryAfter = response.headers.get('Retry-After');
-
-                log.warn({
-                    status: response.status,
-                    remaining,
-                    resetTime: resetTime ? new Date(parseInt(resetTime) * 1000).toISOString() : null,
-                    retryAfter,
-                    repo: `${owner}/${repo}`
-                }, 'GitHub API rate limited');
-
-                // Return null to skip this check rather than throwing
-                return null;
-            }
+    // Mark as posted
+    await getStorage().markPosted('update', releaseKey, MAX_STORED_UPDATES);
+    return true;
+}
 
-            throw new Error(`GitHub API responded with ${response.status}`);
+/**
+ * Announce new releases of the official Jellyfin projects (OFFICIAL_PROJECTS).
+ * A project seen for the first time is only recorded, so a fresh install does not announce every current release.
+ * @param {Client} client - Discord client
+ * @param {Map<string, { stable: Object|null, prerelease: Object|null }>} releases - Releases by repo URL
+ */
+async function checkOfficialReleases(client, releases) {
+    try {
+        const known = await getOfficialReleases();
+        const changes = {};
+
+        for (const project of OFFICIAL_PROJECTS) {
+            const latest = releases.get(project.repo);
+            if (!latest) continue;
+
+            for (const [channel, field] of Object.entries(LAST_RELEASE_FIELDS)) {
+                const release = latest[channel];
+                if (!release || release.tag === known[project.id]?.[field]?.tag) continue;
+
+                changes[project.id] = {
+                    ...changes[project.id],
+                    [field]: { tag: release.tag, url: release.url, published_at: release.published_at }
+                };
+
+                // Releases found on the first check are logged too, so /updates has them from the start
+                await recordRelease({
+                    category: 'official',
+                    project: `official:${project.id}`,
+                    name: project.name,
+                    tag: release.tag,
+                    url: release.url,
+                    releaseChannel: channel,
+                    publishedAt: release.published_at
+                });
+                if (!known[project.id]) continue;
+
+                const releaseKey = `official:${project.id}:${release.tag}`;
+                if (await getStorage().hasPosted('update', releaseKey)) continue;
+
+                log.info({ name: project.name, tag: release.tag, channel }, 'New official release detected');
+                await sendOfficialNotification(client, project, release, channel);
+                await getStorage().markPosted('update', releaseKey, MAX_STORED_UPDATES);
+            }
         }
 
-        return await response.json();
+        if (Object.keys(changes).length > 0) {
+            await recordOfficialReleases(changes);
+        }
     } catch (error) {
-        throw new Error(`Failed to fetch release data: ${error.message}`);
+        log.error({ err: error }, 'Error checking official releases');
     }
 }
 
-async function sendUpdateNotification(client, item, release, category) {
+/**
+ * Render release notes for an announcement embed. Long notes are cut at a line break
+ * and the full notes follow in a thread on the announcement.
+ * @param {Object} release - Release ({ tag, url, published_at, body })
+ * @param {string} repoUrl - Repository URL, for issue and user links
+ * @returns {{ notes: string, description: string, overflow: boolean }}
+ */
+function prepareReleaseNotes(release, repoUrl) {
+    const notes = renderReleaseNotes(release.body, { repo: parseRepoUrl(repoUrl) });
+    const [preview = 'No release notes available.', ...rest] = splitReleaseNotes(notes, NOTES_PREVIEW_LENGTH);
+    const releaseUrl = sanitizeUrl(release.url);
+    const overflow = rest.length > 0;
+
+    return {
+        notes,
+        overflow,
+        description: overflow && releaseUrl ? `${preview}\n\n… [Full release notes](${releaseUrl})` : preview
+    };
+}
+
+/**
+ * Announce an official Jellyfin release. Stable releases go to UPDATE_CHANNEL_ID; unstable builds
+ * to OFFICIAL_UNSTABLE_CHANNEL_ID, then PRERELEASE_CHANNEL_ID, then UPDATE_CHANNEL_ID.
+ * @param {Client} client - Discord client
+ * @param {{ id: string, name: string, repo: string }} project - Entry of OFFICIAL_PROJECTS
+ * @param {Object} release - Release ({ tag, url, published_at, body })
+ * @param {'stable'|'prerelease'} releaseChannel - Release channel
+ */
+async function sendOfficialNotification(client, project, release, releaseChannel) {
+    const isUnstable = releaseChannel === 'prerelease';
+    const channelId = isUnstable
+        ? OFFICIAL_UNSTABLE_CHANNEL_ID || process.env.PRERELEASE_CHANNEL_ID || UPDATE_CHANNEL_ID
+        : UPDATE_CHANNEL_ID;
+
     try {
-        const channel = await client.channels.fetch(UPDATE_CHANNEL_ID);
+        const channel = await client.channels.fetch(channelId);
         if (!channel) {
-            log.error({ channelId: UPDATE_CHANNEL_ID }, 'Update channel not found');
+            log.error({ channelId }, 'Official release channel not found');
             return;
         }
 
+        const releaseDate = new Date(release.published_at);
+        const safeTagName = truncate(sanitize(release.tag), 50);
+        const { notes, description, overflow } = prepareReleaseNotes(release, project.repo);
+
+        const embed = new EmbedBuilder()
+            .setColor(isUnstable ? COLORS.prerelease : COLORS.official)
+            .setAuthor({
+                name: isUnstable ? 'Jellyfin Unstable Build' : 'Official Jellyfin Release',
+                iconURL: JELLYFIN_ICON_URL,
+                url: 'https://jellyfin.org'
+            })
+            .setTitle(truncate(`${isUnstable ? '🧪' : '🎉'} ${project.name} ${safeTagName}`, EMBED_LIMITS.TITLE))
+            .setURL(sanitizeUrl(release.url))
+            .setThumbnail(JELLYFIN_ICON_URL)
+            .setDescription(description)
+            .addFields(
+                { name: "📅 Released", value: releaseDate.toLocaleDateString(), inline: true },
+                { name: "⬇️ Downloads", value: "[jellyfin.org/downloads](https://jellyfin.org/downloads)", inline: true }
+            )
+            .setTimestamp(releaseDate)
+            .setFooter({
+                text: isUnstable ? 'Unstable build · not recommended for production servers' : 'Official Jellyfin Release · /jellyfin latest'
+            });
+
+        const message = await channel.send({ embeds: [embed] });
+        log.info({ name: project.name, channel: releaseChannel }, 'Sent official release notification');
+
+        if (overflow) {
+            await postReleaseNotesThread(message, `${project.name} ${safeTagName}`, notes);
+        }
+    } catch (error) {
+        log.error({ err: error, name: project.name }, 'Error sending official release notification');
+    }
+}
+
+/**
+ * Post the full release notes in a thread on the announcement.
+ * Channels without threads (or missing permissions) only get the preview in the embed.
+ * @param {Message} message - Announcement message
+ * @param {string} title - Project name and tag
+ * @param {string} notes - Notes from renderReleaseNotes()
+ */
+async function postReleaseNotesThread(message, title, notes) {
+    try {
+        const thread = await message.startThread({
+            name: truncate(`${title} release notes`, 100),
+            autoArchiveDuration: ThreadAutoArchiveDuration.OneDay
+        });
+
+        for (const chunk of splitReleaseNotes(notes)) {
+            await thread.send({ content: chunk, allowedMentions: { parse: [] }, flags: MessageFlags.SuppressEmbeds });
+        }
+    } catch (error) {
+        log.warn({ err: error, title }, 'Could not post release notes thread');
+    }
+}
+
+async function sendUpdateNotification(client, item, release, category, releaseChannel = 'stable') {
+    const isPrerelease = releaseChannel === 'prerelease';
+    const policy = getReleasePolicy(item);
+    const channelId = isPrerelease ? policy.prereleaseChannelId : policy.stableChannelId;
+
+    try {
         const releaseDate = new Date(release.published_at);
 
         // Map category keys to config keys
@@ -280,26 +372,30 @@ async function sendUpdateNotification(client, item, release, category) {
 
         // Sanitize and validate all external data
         const safeName = truncate(sanitize(item.name), 200);
-        const safeTagName = truncate(sanitize(release.tag_name), 50);
-        const safeReleaseUrl = sanitizeUrl(release.html_url);
+        const safeTagName = truncate(sanitize(release.tag), 50);
+        const safeReleaseUrl = sanitizeUrl(release.url);
         const safeRepoUrl = sanitizeUrl(item.repo);
-        const safeReleaseBody = truncate(sanitize(release.body || 'No release notes available.'), 500);
 
+        const { notes, description, overflow } = prepareReleaseNotes(release, item.repo);
+
+        // Pre-releases stand out with their own color, icon, and footer
         const embed = new EmbedBuilder()
-            .setColor(categoryColorMap[category] || 0x00FF00)
+            .setColor(isPrerelease ? COLORS.prerelease : categoryColorMap[category] || 0x00FF00)
             .setAuthor({
-                name: truncate(`New ${categoryData.name} Release!`, EMBED_LIMITS.AUTHOR_NAME),
-                iconURL: "https://raw.githubusercontent.com/jellyfin/jellyfin-ux/master/branding/web/icon-transparent.png"
+                name: truncate(`New ${categoryData.name} ${isPrerelease ? 'Pre-release' : 'Release'}!`, EMBED_LIMITS.AUTHOR_NAME),
+                iconURL: JELLYFIN_ICON_URL
             })
-            .setTitle(truncate(`${categoryData.icon} ${safeName} - ${safeTagName}`, EMBED_LIMITS.TITLE))
+            .setTitle(truncate(`${isPrerelease ? '🧪' : categoryData.icon} ${safeName} - ${safeTagName}`, EMBED_LIMITS.TITLE))
             .setURL(safeReleaseUrl)
-            .setDescription(safeReleaseBody)
+            .setDescription(description)
             .addFields(
                 { name: "📅 Released", value: releaseDate.toLocaleDateString(), inline: true },
-                { name: "🔗 Repository", value: safeRepoUrl ? `[View on GitHub](${safeRepoUrl})` : 'N/A', inline: true }
+                { name: "🔗 Repository", value: safeRepoUrl ? `[${getRepoLinkText(item.repo)}](${safeRepoUrl})` : 'N/A', inline: true }
             )
             .setTimestamp(releaseDate)
-            .setFooter({ text: truncate(`${categoryData.name} Update`, EMBED_LIMITS.FOOTER_TEXT) });
+            .setFooter({
+                text: truncate(isPrerelease ? `${categoryData.name} Pre-release · may be unstable` : `${categoryData.name} Update`, EMBED_LIMITS.FOOTER_TEXT)
+            });
 
         // Add developers for clients
         if (category === 'third_party_clients' && item.developers) {
@@ -321,8 +417,51 @@ async function sendUpdateNotification(client, item, release, category) {
             }
         }
 
-        await channel.send({ embeds: [embed] });
-        log.info({ name: item.name }, 'Sent update notification');
+        const categoryType = categoryFromDataKey(category);
+        const { mentions, directMessages } = await getSubscribers(projectRef(categoryType, item.id));
+        const subscriberMessage = {
+            content: `🔔 New ${isPrerelease ? 'pre-release' : 'release'} of **${safeName}**, which you follow. Use \`/unsubscribe\` to stop these messages.`,
+            embeds: [embed]
+        };
+
+        // Digest categories list the release in their next digest, so every subscriber gets a DM right away
+        if (getDigestFrequency(categoryType)) {
+            await queueDigestRelease({
+                category: categoryType,
+                project: item.id,
+                name: item.name,
+                tag: release.tag,
+                url: release.url,
+                releaseChannel,
+                channelId,
+                publishedAt: release.published_at
+            });
+            await sendSubscriberMessages(client, [...mentions, ...directMessages], subscriberMessage);
+            return;
+        }
+
+        const channel = await client.channels.fetch(channelId);
+        if (!channel) {
+            log.error({ channelId }, 'Update channel not found');
+            return;
+        }
+
+        // Opt-in update roles and subscribers are mentioned in the announcement; other subscribers get a DM
+        const roles = getAnnouncementRoles(item, categoryType);
+        const pings = [...roles.map(roleId => `<@&${roleId}>`), ...mentions.map(userId => `<@${userId}>`)];
+
+        const message = await channel.send({
+            content: pings.length > 0 ? pings.join(' ') : undefined,
+            embeds: [embed],
+            allowedMentions: { roles, users: mentions }
+        });
+        log.info({ name: item.name, channel: releaseChannel, roles: roles.length, mentions: mentions.length }, 'Sent update notification');
+
+        if (overflow) {
+            await postReleaseNotesThread(message, `${safeName} ${safeTagName}`, notes);
+        }
+
+        await sendSubscriberMessages(client, directMessages, subscriberMessage);
 
     } catch (error) {
         log.error({ err: error, name: item.name }, 'Error sending notification');
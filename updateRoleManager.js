@@ -0,0 +1,83 @@
+import { CATEGORY_INFO, isFeaturedProject } from './config.js';
+import { createModuleLogger } from './utils/logger.js';
+import { listProjects } from './catalogManager.js';
+
+const log = createModuleLogger('update-roles');
+
+// Roles offered by one role picker message (one button each, five rows of five)
+export const MAX_PICKER_ROLES = 25;
+
+/**
+ * Read the per-category update roles from UPDATE_ROLE_IDS, e.g. "clients=123...,plugins=456..."
+ * @returns {Object<string, string>} Role ID by category type
+ */
+export function getCategoryRoles() {
+    const roles = {};
+
+    for (const entry of (process.env.UPDATE_ROLE_IDS || '').split(',')) {
+        const [category, roleId] = entry.split('=').map(part => part.trim());
+        if (category in CATEGORY_INFO && /^\d{17,19}$/.test(roleId || '')) {
+            roles[category] = roleId;
+        }
+    }
+
+    return roles;
+}
+
+/**
+ * List the roles members can pick up: one per configured category, then one per featured project with a role
+ * @param {Object} data - Catalog data from loadCatalog()
+ * @returns {Array<{ roleId: string, label: string }>}
+ */
+export function getPickerRoles(data) {
+    const roles = Object.entries(getCategoryRoles())
+        .map(([category, roleId]) => ({ roleId, label: CATEGORY_INFO[category].name }));
+
+    for (const { item } of listProjects(data)) {
+        const roleId = item.featured?.roleId;
+        if (roleId && isFeaturedProject(item) && !roles.some(role => role.roleId === roleId)) {
+            roles.push({ roleId, label: item.name });
+        }
+    }
+
+    return roles.slice(0, MAX_PICKER_ROLES);
+}
+
+/**
+ * Roles to mention when a project publishes a release: its category role and, while featured, its own role
+ * @param {Object} item - Project item
+ * @param {string} category - Category type like "clients"
+ * @returns {string[]} Role IDs
+ */
+export function getAnnouncementRoles(item, category) {
+    const roles = [];
+
+    const categoryRole = getCategoryRoles()[category];
+    if (categoryRole) roles.push(categoryRole);
+
+    const projectRole = item.featured?.roleId;
+    if (projectRole && isFeaturedProject(item) && !roles.includes(projectRole)) {
+        roles.push(projectRole);
+    }
+
+    return roles;
+}
+
+/**
+ * Give a member a role, or take it away if they already have it
+ * @param {GuildMember} member - Member who clicked the role picker
+ * @param {string} roleId - Role to toggle
+ * @returns {Promise<boolean>} Whether the member has the role now
+ */
+export async function toggleRole(member, roleId) {
+    const hasRole = member.roles.cache.has(roleId);
+
+    if (hasRole) {
+        await member.roles.remove(roleId, 'Update role picker');
+    } else {
+        await member.roles.add(roleId, 'Update role picker');
+    }
+
+    log.info({ userId: member.id, roleId, added: !hasRole }, 'Update role toggled');
+    return !hasRole;
+}
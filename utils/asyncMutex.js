@@ -76,6 +76,12 @@ class Mutex {
 // Pre-configured mutex instances for common use cases
 export const reminderMutex = new Mutex('reminders');
 export const stateMutex = new Mutex('state');
+export const catalogMutex = new Mutex('catalog');
+export const submissionMutex = new Mutex('submissions');
+export const subscriptionMutex = new Mutex('subscriptions');
+export const releaseHistoryMutex = new Mutex('release-history');
+export const digestMutex = new Mutex('digest');
+export const officialReleaseMutex = new Mutex('official-releases');
 
 // Export class for custom instances
 export { Mutex };
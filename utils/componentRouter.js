@@ -0,0 +1,75 @@
+/**
+ * Component interaction router
+ * Single Responsibility: Dispatch buttons, select menus, and modals by structured custom ID
+ *
+ * Custom IDs have the form "<namespace>:<arg>:<arg>...", e.g. "catalog:plugins:page:2".
+ * Handlers keep no in-memory state, so components keep working indefinitely and across restarts.
+ * Custom IDs without a namespace belong to short-lived awaitMessageComponent prompts and are ignored here.
+ */
+
+import { createModuleLogger } from './logger.js';
+
+const log = createModuleLogger('component-router');
+
+// Discord limit for custom IDs
+const MAX_CUSTOM_ID_LENGTH = 100;
+
+const SEPARATOR = ':';
+
+const handlers = new Map();
+
+/**
+ * Register the handler for a custom ID namespace
+ * @param {string} namespace - Namespace, e.g. a command name
+ * @param {Function} handler - async (interaction, args) => void
+ */
+export function registerComponentHandler(namespace, handler) {
+    if (handlers.has(namespace)) {
+        log.warn({ namespace }, 'Component handler replaced');
+    }
+    handlers.set(namespace, handler);
+}
+
+/**
+ * Build a structured custom ID
+ * @param {string} namespace - Handler namespace
+ * @param {...(string|number)} args - Arguments; empty values are kept as empty segments
+ * @returns {string}
+ */
+export function buildCustomId(namespace, ...args) {
+    const customId = [namespace, ...args.map(arg => (arg == null ? '' : String(arg)))].join(SEPARATOR);
+    if (customId.length > MAX_CUSTOM_ID_LENGTH) {
+        throw new Error(`Custom ID exceeds ${MAX_CUSTOM_ID_LENGTH} characters: ${customId}`);
+    }
+    return customId;
+}
+
+/**
+ * Split a structured custom ID
+ * @param {string} customId - Custom ID
+ * @returns {{ namespace: string, args: string[] }|null} Null for IDs without a namespace
+ */
+export function parseCustomId(customId) {
+    if (typeof customId !== 'string' || !customId.includes(SEPARATOR)) return null;
+    const [namespace, ...args] = customId.split(SEPARATOR);
+    return { namespace, args };
+}
+
+/**
+ * Dispatch a component or modal interaction to its namespace handler
+ * @param {MessageComponentInteraction|ModalSubmitInteraction} interaction - Interaction to route
+ * @returns {Promise<boolean>} Whether a handler was found
+ */
+export async function routeComponent(interaction) {
+    const parsed = parseCustomId(interaction.customId);
+    if (!parsed) return false;
+
+    const handler = handlers.get(parsed.namespace);
+    if (!handler) {
+        log.debug({ customId: interaction.customId }, 'No handler for component namespace');
+        return false;
+    }
+
+    await handler(interaction, parsed.args);
+    return true;
+}
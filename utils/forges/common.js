@@ -0,0 +1,87 @@
+/**
+ * Helpers shared by the forge adapters
+ * Single Responsibility: Fetch and normalize release lists from forges other than GitHub
+ */
+
+import { timerManager } from '../timerManager.js';
+import { createModuleLogger } from '../logger.js';
+import { fetchWithTimeout, USER_AGENT } from '../http.js';
+
+const log = createModuleLogger('forges');
+
+// Recent releases searched for the latest stable release and a newer pre-release
+export const RECENT_RELEASES = 5;
+
+// Delay between requests to one forge during an update check
+const FORGE_REQUEST_DELAY = 1000;
+
+// Tags that mark a pre-release on forges without a pre-release flag, e.g. "v2.0.0-beta.1" or "1.4rc2"
+const PRERELEASE_TAG_PATTERN = /(?:^|[-.+_\d])(?:alpha|beta|rc|pre|preview|dev|nightly|canary)(?:$|[-.+_\d])/i;
+
+/**
+ * Guess from its tag whether a release is a pre-release
+ * @param {string} tag - Release tag
+ * @returns {boolean}
+ */
+export function isPrereleaseTag(tag) {
+    return PRERELEASE_TAG_PATTERN.test(tag || '');
+}
+
+/**
+ * Find the latest stable release: the newest published release that is not a pre-release
+ * @param {Array<Object>} releases - Normalized releases, newest first
+ * @returns {Object|null}
+ */
+export function pickStable(releases) {
+    return releases.find(release => !release.draft && !release.prerelease) || null;
+}
+
+/**
+ * Find the pre-release to announce: the newest published release, if it is a pre-release
+ * @param {Array<Object>} releases - Normalized releases, newest first
+ * @returns {Object|null}
+ */
+export function pickPrerelease(releases) {
+    const newest = releases.find(release => !release.draft);
+    return newest?.prerelease ? newest : null;
+}
+
+/**
+ * GET a forge API URL
+ * @param {string} url - API URL
+ * @returns {Promise<Response|null>} Response, or null if the repository or its releases do not exist
+ */
+export async function forgeRequest(url) {
+    const response = await fetchWithTimeout(url, { headers: { 'User-Agent': USER_AGENT } });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`Forge API error: ${response.status} ${response.statusText}`);
+    }
+    return response;
+}
+
+/**
+ * Fetch releases one repository at a time, pausing between requests
+ * @param {string} forge - Forge key, used for timer names and logs
+ * @param {Array<{ url: string, repo: Object, stable: boolean, prerelease: boolean }>} targets - Repositories to fetch
+ * @param {Map<string, Object>} releases - Results by repo URL, filled in place
+ * @param {Function} fetchRecent - (repo) => Promise<Array<Object>|null>, normalized releases newest first
+ */
+export async function fetchEachRepo(forge, targets, releases, fetchRecent) {
+    for (const [index, { url, repo, stable, prerelease }] of targets.entries()) {
+        try {
+            const recent = await fetchRecent(repo) || [];
+            releases.set(url, {
+                stable: stable ? pickStable(recent) : null,
+                prerelease: prerelease ? pickPrerelease(recent) : null
+            });
+        } catch (error) {
+            log.error({ err: error, forge, repo: url }, 'Failed to fetch release data');
+        }
+
+        if (index < targets.length - 1) {
+            const completed = await timerManager.sleep(`update-check-delay-${forge}-${repo.owner}/${repo.repo}`, FORGE_REQUEST_DELAY);
+            if (!completed) return;
+        }
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Gitea forge adapter, also used for Forgejo (Codeberg) which keeps Gitea's API
+ */
+
+import { RECENT_RELEASES, forgeRequest, fetchEachRepo } from './common.js';
+
+export default {
+    name: 'Gitea',
+    hosts: { 'codeberg.org': 'Codeberg', 'gitea.com': 'Gitea' },
+
+    /**
+     * @param {URL} url - Repository URL on a Gitea or Forgejo host
+     * @returns {{ owner: string, repo: string }|null}
+     */
+    parseRepo(url) {
+        const [owner, repo] = url.pathname.split('/').filter(Boolean);
+        if (!owner || !repo) return null;
+        return { owner, repo: repo.replace(/\.git$/, '') };
+    },
+
+    issueUrl(repo, number) {
+        return `https://${repo.host}/${repo.owner}/${repo.repo}/issues/${number}`;
+    },
+
+    userUrl(repo, user) {
+        return `https://${repo.host}/${user}`;
+    },
+
+    async fetchReleases(targets, releases) {
+        await fetchEachRepo('gitea', targets, releases, async (repo) => {
+            const response = await forgeRequest(`https://${repo.host}/api/v1/repos/${repo.owner}/${repo.repo}/releases?limit=${RECENT_RELEASES}`);
+            if (!response) return null;
+
+            return (await response.json()).map(release => ({
+                tag: release.tag_name,
+                url: release.html_url,
+                published_at: release.published_at,
+                body: release.body,
+                prerelease: release.prerelease,
+                draft: release.draft
+            }));
+        });
+    }
+};
@@ -0,0 +1,165 @@
+/**
+ * GitHub forge adapter
+ * Single Responsibility: Fetch latest releases from GitHub, in GraphQL batches when a token is set
+ */
+
+import { timerManager } from '../timerManager.js';
+import { createModuleLogger } from '../logger.js';
+import { githubRequest, githubGraphQL, hasGitHubToken, getPacingDelay } from '../github.js';
+import { RECENT_RELEASES, pickPrerelease } from './common.js';
+
+const log = createModuleLogger('forges');
+
+// Repositories per GraphQL release query
+const RELEASE_BATCH_SIZE = 50;
+
+// Release fields fetched through GraphQL
+const RELEASE_FIELDS = 'tagName url publishedAt description isPrerelease isDraft';
+
+/**
+ * Build a GraphQL query for the latest releases of several repositories
+ * @param {Array<{ stable: boolean, prerelease: boolean }>} targets - Repositories, bound as $owner<i>/$name<i>
+ * @returns {string}
+ */
+function buildReleaseQuery(targets) {
+    const params = [];
+    const fields = [];
+    targets.forEach((target, i) => {
+        const selections = [];
+        if (target.stable) selections.push(`latestRelease { ${RELEASE_FIELDS} }`);
+        if (target.prerelease) {
+            selections.push(`releases(first: ${RECENT_RELEASES}, orderBy: { field: CREATED_AT, direction: DESC }) { nodes { ${RELEASE_FIELDS} } }`);
+        }
+        params.push(`$owner${i}: String!, $name${i}: String!`);
+        fields.push(`r${i}: repository(owner: $owner${i}, name: $name${i}) { ${selections.join(' ')} }`);
+    });
+    return `query(${params.join(', ')}) {\n${fields.join('\n')}\n}`;
+}
+
+/**
+ * Normalize a GraphQL release
+ * @param {Object|null} release - GraphQL Release
+ * @returns {Object|null}
+ */
+function fromGraphQLRelease(release) {
+    if (!release) return null;
+    return {
+        tag: release.tagName,
+        url: release.url,
+        published_at: release.publishedAt,
+        body: release.description,
+        prerelease: release.isPrerelease,
+        draft: release.isDraft
+    };
+}
+
+/**
+ * Normalize a REST release
+ * @param {Object|null} release - REST release
+ * @returns {Object|null}
+ */
+function fromRestRelease(release) {
+    if (!release) return null;
+    return {
+        tag: release.tag_name,
+        url: release.html_url,
+        published_at: release.published_at,
+        body: release.body,
+        prerelease: release.prerelease,
+        draft: release.draft
+    };
+}
+
+/**
+ * Fetch latest releases one repo at a time through REST, paced to the rate limit
+ * @param {Array<{ url: string, repo: Object, stable: boolean, prerelease: boolean }>} targets - Repositories to fetch
+ * @param {Map<string, Object>} releases - Results by repo URL, filled in place
+ */
+async function fetchReleasesRest(targets, releases) {
+    let pending = targets.reduce((sum, target) => sum + Number(target.stable) + Number(target.prerelease), 0);
+
+    for (const { url, repo, stable, prerelease } of targets) {
+        const path = `/repos/${repo.owner}/${repo.repo}/releases`;
+
+        try {
+            // Requests resolve to null when the repo has no releases or is still rate limited
+            const latest = { stable: null, prerelease: null };
+            if (stable) latest.stable = fromRestRelease(await githubRequest(`${path}/latest`));
+            if (prerelease) {
+                const recent = await githubRequest(`${path}?per_page=${RECENT_RELEASES}`) || [];
+                latest.prerelease = pickPrerelease(recent.map(fromRestRelease));
+            }
+            releases.set(url, latest);
+        } catch (error) {
+            log.error({ err: error, repo: url }, 'Failed to fetch release data');
+        }
+
+        // Delay between API calls, paced to the rate limit (tracked for graceful shutdown)
+        pending -= Number(stable) + Number(prerelease);
+        if (pending > 0) {
+            const completed = await timerManager.sleep(`update-check-delay-${repo.owner}/${repo.repo}`, getPacingDelay(pending));
+            if (!completed) return;
+        }
+    }
+}
+
+export default {
+    name: 'GitHub',
+    hosts: { 'github.com': 'GitHub', 'www.github.com': 'GitHub' },
+
+    /**
+     * @param {URL} url - Repository URL on a GitHub host
+     * @returns {{ owner: string, repo: string }|null}
+     */
+    parseRepo(url) {
+        const [owner, repo] = url.pathname.split('/').filter(Boolean);
+        if (!owner || !repo) return null;
+        return { owner, repo: repo.replace(/\.git$/, '') };
+    },
+
+    issueUrl(repo, number) {
+        return `https://github.com/${repo.owner}/${repo.repo}/issues/${number}`;
+    },
+
+    userUrl(repo, user) {
+        return `https://github.com/${user}`;
+    },
+
+    /**
+     * Fetch the latest stable release and pre-release of every repo. With GITHUB_TOKEN set, repos are
+     * queried in GraphQL batches of RELEASE_BATCH_SIZE; otherwise (or when a batch fails) through REST.
+     * @param {Array<{ url: string, repo: Object, stable: boolean, prerelease: boolean }>} targets - Repositories to fetch
+     * @param {Map<string, Object>} releases - Results by repo URL, filled in place
+     */
+    async fetchReleases(targets, releases) {
+        if (!hasGitHubToken()) {
+            await fetchReleasesRest(targets, releases);
+            return;
+        }
+
+        for (let start = 0; start < targets.length; start += RELEASE_BATCH_SIZE) {
+            const batch = targets.slice(start, start + RELEASE_BATCH_SIZE);
+            const variables = {};
+            batch.forEach(({ repo }, i) => {
+                variables[`owner${i}`] = repo.owner;
+                variables[`name${i}`] = repo.repo;
+            });
+
+            try {
+                const data = await githubGraphQL(buildReleaseQuery(batch), variables);
+                batch.forEach(({ url }, i) => {
+                    const result = data[`r${i}`];
+                    releases.set(url, {
+                        stable: fromGraphQLRelease(result?.latestRelease),
+                        prerelease: pickPrerelease((result?.releases?.nodes || []).map(fromGraphQLRelease))
+                    });
+                });
+            } catch (error) {
+                log.warn({ err: error, count: batch.length }, 'GraphQL release query failed, falling back to REST');
+                await fetchReleasesRest(batch, releases);
+            }
+        }
+
+        log.debug({ repos: targets.length, batches: Math.ceil(targets.length / RELEASE_BATCH_SIZE) }, 'Fetched latest releases through GraphQL');
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * GitLab forge adapter (gitlab.com and self-hosted instances)
+ * GitLab has no pre-release flag, so pre-releases are recognized by their tag
+ */
+
+import { RECENT_RELEASES, forgeRequest, fetchEachRepo, isPrereleaseTag } from './common.js';
+
+export default {
+    name: 'GitLab',
+    hosts: { 'gitlab.com': 'GitLab' },
+
+    /**
+     * @param {URL} url - Repository URL on a GitLab host; projects can sit in nested groups
+     * @returns {{ owner: string, repo: string }|null} Owner is the group path, e.g. "group/subgroup"
+     */
+    parseRepo(url) {
+        const segments = url.pathname.split('/').filter(Boolean);
+        const end = segments.indexOf('-');
+        const path = end === -1 ? segments : segments.slice(0, end);
+        if (path.length < 2) return null;
+        return { owner: path.slice(0, -1).join('/'), repo: path[path.length - 1].replace(/\.git$/, '') };
+    },
+
+    issueUrl(repo, number) {
+        return `https://${repo.host}/${repo.owner}/${repo.repo}/-/issues/${number}`;
+    },
+
+    userUrl(repo, user) {
+        return `https://${repo.host}/${user}`;
+    },
+
+    async fetchReleases(targets, releases) {
+        await fetchEachRepo('gitlab', targets, releases, async (repo) => {
+            const project = encodeURIComponent(`${repo.owner}/${repo.repo}`);
+            const response = await forgeRequest(`https://${repo.host}/api/v4/projects/${project}/releases?per_page=${RECENT_RELEASES}&order_by=released_at`);
+            if (!response) return null;
+
+            return (await response.json()).map(release => ({
+                tag: release.tag_name,
+                url: release._links?.self || `https://${repo.host}/${repo.owner}/${repo.repo}/-/releases/${encodeURIComponent(release.tag_name)}`,
+                published_at: release.released_at,
+                body: release.description,
+                prerelease: isPrereleaseTag(release.tag_name),
+                // Upcoming releases are scheduled for a future date
+                draft: Boolean(release.upcoming_release)
+            }));
+        });
+    }
+};
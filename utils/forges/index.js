@@ -0,0 +1,116 @@
+/**
+ * Forge adapters
+ * Single Responsibility: Pick the adapter for a repository URL and fetch its releases in one shape
+ *
+ * Every adapter exports:
+ * - name: Label for self-hosted instances; hosts maps known hosts to their label
+ * - parseRepo(url): { owner, repo } from a URL object, or null
+ * - issueUrl(repo, number) / userUrl(repo, user): Links for release notes, or null
+ * - fetchReleases(targets, releases): Fill releases (a Map by repo URL) with { stable, prerelease },
+ *   each { tag, url, published_at, body, prerelease } or null; repos that failed are left out
+ */
+
+import { validateUrl } from '../validators/url.js';
+import github from './github.js';
+import gitlab from './gitlab.js';
+import gitea from './gitea.js';
+import sourcehut from './sourcehut.js';
+
+export const FORGES = { github, gitlab, gitea, sourcehut };
+
+/**
+ * Map hosts to forge keys: the adapters' public hosts plus self-hosted ones from FORGE_HOSTS,
+ * e.g. "gitlab.gnome.org=gitlab,git.example.org=gitea"
+ * @returns {Map<string, string>}
+ */
+function getForgeHosts() {
+    const hosts = new Map();
+    for (const [key, forge] of Object.entries(FORGES)) {
+        for (const host of Object.keys(forge.hosts)) hosts.set(host, key);
+    }
+
+    for (const entry of (process.env.FORGE_HOSTS || '').split(',')) {
+        const [host, key] = entry.split('=').map(part => part.trim().toLowerCase());
+        if (host && key in FORGES) hosts.set(host, key);
+    }
+
+    return hosts;
+}
+
+/**
+ * Parse a repository URL on a supported forge
+ * @param {string} repoUrl - Repository URL, e.g. https://codeberg.org/owner/repo
+ * @returns {{ forge: string, host: string, owner: string, repo: string, url: string }|null}
+ *   url is the normalized repository URL
+ */
+export function parseRepoUrl(repoUrl) {
+    const valid = validateUrl(repoUrl, { allowedProtocols: ['https:'] });
+    if (!valid) return null;
+
+    const url = new URL(valid);
+    const host = url.hostname.toLowerCase();
+    const forge = getForgeHosts().get(host);
+    const repo = forge && FORGES[forge].parseRepo(url);
+    if (!repo) return null;
+
+    return { forge, host, ...repo, url: `https://${host}/${repo.owner}/${repo.repo}` };
+}
+
+/**
+ * Get the adapter for a forge key
+ * @param {string} forge - Key of FORGES
+ * @returns {Object} Adapter
+ */
+export function getForge(forge) {
+    return FORGES[forge];
+}
+
+/**
+ * Link text for a repository, naming its forge, e.g. "View on Codeberg"
+ * @param {string} repoUrl - Repository URL
+ * @returns {string}
+ */
+export function getRepoLinkText(repoUrl) {
+    const repo = parseRepoUrl(repoUrl);
+    if (!repo) return 'View Repository';
+    return `View on ${FORGES[repo.forge].hosts[repo.host] || FORGES[repo.forge].name}`;
+}
+
+/**
+ * Fetch the latest stable release and pre-release of every repository, one batch per forge
+ * @param {Array<{ url: string, stable: boolean, prerelease: boolean }>} targets - Repository URLs and the channels they need
+ * @returns {Promise<Map<string, { stable: Object|null, prerelease: Object|null }>>} Releases by repo URL;
+ *   repos that failed are missing, unsupported URLs have no releases
+ */
+export async function fetchLatestReleases(targets) {
+    const releases = new Map();
+    const byForge = new Map();
+    const byUrl = new Map();
+
+    // Several projects can share a repo with different channels
+    for (const { url, stable, prerelease } of targets) {
+        const existing = byUrl.get(url);
+        if (existing) {
+            existing.stable ||= stable;
+            existing.prerelease ||= prerelease;
+            continue;
+        }
+
+        const repo = parseRepoUrl(url);
+        if (!repo) {
+            releases.set(url, { stable: null, prerelease: null });
+            continue;
+        }
+
+        const target = { url, repo, stable, prerelease };
+        byUrl.set(url, target);
+        if (!byForge.has(repo.forge)) byForge.set(repo.forge, []);
+        byForge.get(repo.forge).push(target);
+    }
+
+    for (const [forge, forgeTargets] of byForge) {
+        await FORGES[forge].fetchReleases(forgeTargets, releases);
+    }
+
+    return releases;
+}
@@ -0,0 +1,51 @@
+/**
+ * SourceHut forge adapter
+ * git.sr.ht has no public release API; annotated tags and their messages are read from the repository's refs feed
+ */
+
+import Parser from 'rss-parser';
+import { forgeRequest, fetchEachRepo, isPrereleaseTag } from './common.js';
+
+const parser = new Parser();
+
+export default {
+    name: 'SourceHut',
+    hosts: { 'git.sr.ht': 'SourceHut' },
+
+    /**
+     * @param {URL} url - Repository URL like https://git.sr.ht/~owner/repo
+     * @returns {{ owner: string, repo: string }|null} Owner includes the "~"
+     */
+    parseRepo(url) {
+        const [owner, repo] = url.pathname.split('/').filter(Boolean);
+        if (!owner?.startsWith('~') || !repo) return null;
+        return { owner, repo };
+    },
+
+    // Issues live on a separate tracker (todo.sr.ht) and users are mentioned as ~user, so nothing is linked
+    issueUrl() {
+        return null;
+    },
+
+    userUrl() {
+        return null;
+    },
+
+    async fetchReleases(targets, releases) {
+        await fetchEachRepo('sourcehut', targets, releases, async (repo) => {
+            const response = await forgeRequest(`https://${repo.host}/${repo.owner}/${repo.repo}/refs/rss.xml`);
+            if (!response) return null;
+
+            const feed = await parser.parseString(await response.text());
+            return feed.items
+                .map(entry => ({
+                    tag: entry.title,
+                    url: entry.link,
+                    published_at: entry.isoDate,
+                    body: entry.content || entry.contentSnippet,
+                    prerelease: isPrereleaseTag(entry.title)
+                }))
+                .sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
+        });
+    }
+};
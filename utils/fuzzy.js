@@ -0,0 +1,51 @@
+/**
+ * Fuzzy string matching utilities
+ * Single Responsibility: Score how well a search query matches a piece of text
+ */
+
+/**
+ * Normalize text for comparison (lowercase, collapse separators)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeForSearch(text) {
+    if (text == null) return '';
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\s_\-.]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Score how well a query matches a text.
+ * Exact and prefix matches score highest, then word-prefix and substring matches,
+ * then in-order subsequence matches weighted by how compact they are.
+ * @param {string} query - Search query
+ * @param {string} text - Text to match against
+ * @returns {number} Score between 0 (no match) and 1 (exact match)
+ */
+export function fuzzyScore(query, text) {
+    const q = normalizeForSearch(query);
+    const t = normalizeForSearch(text);
+
+    if (!q || !t) return 0;
+    if (t === q) return 1;
+    if (t.startsWith(q)) return 0.9;
+    if (t.split(' ').some(word => word.startsWith(q))) return 0.8;
+    if (t.includes(q)) return 0.7;
+
+    // Subsequence match: every query character appears in order
+    const compactQuery = q.replace(/ /g, '');
+    let position = -1;
+    let firstMatch = -1;
+    for (const char of compactQuery) {
+        position = t.indexOf(char, position + 1);
+        if (position === -1) return 0;
+        if (firstMatch === -1) firstMatch = position;
+    }
+
+    const span = position - firstMatch + 1;
+    return 0.5 * (compactQuery.length / span);
+}
@@ -0,0 +1,295 @@
+/**
+ * GitHub API utilities
+ * Single Responsibility: REST and GraphQL requests to the GitHub API with retries, ETag caching, and rate limit handling
+ */
+
+import { timerManager } from './timerManager.js';
+import { createModuleLogger } from './logger.js';
+import { addJitter } from './jitter.js';
+import { fetchWithTimeout, USER_AGENT } from './http.js';
+import { readJsonWithRecovery, writeJsonAtomic } from './atomicJson.js';
+import { GITHUB_CACHE_FILE } from './paths.js';
+import { SCHEMA_VERSIONS } from './schemas.js';
+
+const log = createModuleLogger('github');
+
+const API_BASE = 'https://api.github.com';
+const MAX_RETRIES = 3;
+
+// Optional token, raises the limit from 60 to 5000 requests per hour
+const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
+
+// Requests left untouched when pacing scheduled checks
+const RATE_LIMIT_RESERVE = 5;
+
+// How often a rate-limited request is retried after waiting for the limit to reset
+const RATE_LIMIT_RETRIES = 2;
+
+// Delay between requests of a batch while the rate limit is not a concern
+const BASE_REQUEST_DELAY = 1000;
+
+// The ETag cache is written once this long after its last change, so a batch of checks writes it once
+const CACHE_SAVE_DELAY = 10 * 1000;
+
+// Cached responses that were not requested for this long are dropped when the cache is saved
+const CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Rate limits as reported by the last response, per resource ("core" for REST, "graphql")
+const rateLimits = {
+    core: { limit: null, remaining: null, reset: 0 },
+    graphql: { limit: null, remaining: null, reset: 0 }
+};
+
+// Cached responses by API path: { etag, data, usedAt }
+let cachePromise = null;
+
+/**
+ * Extract owner and repository name from a GitHub URL
+ * @param {string} repoUrl - Repository URL, e.g. https://github.com/jellyfin/jellyfin
+ * @returns {{ owner: string, repo: string }|null}
+ */
+export function parseGitHubRepo(repoUrl) {
+    const match = String(repoUrl || '').match(/github\.com\/([^/]+)\/([^/#?]+)/);
+    if (!match) return null;
+    return { owner: match[1], repo: match[2].replace(/\.git$/, '') };
+}
+
+/**
+ * Fetch with retry logic and exponential backoff
+ * @param {string} url - URL to fetch
+ * @param {object} options - fetch options
+ * @param {number} maxRetries - maximum retry attempts
+ * @returns {Promise<Response>}
+ */
+async function fetchWithRetry(url, options = {}, maxRetries = MAX_RETRIES) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            return await fetchWithTimeout(url, options);
+        } catch (error) {
+            if (attempt === maxRetries) throw error;
+
+            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
+            log.warn({ attempt, maxRetries, delaySeconds: delay / 1000, error: error.message }, 'GitHub fetch failed, retrying');
+
+            // Use tracked sleep for graceful shutdown
+            const completed = await timerManager.sleep(`github-retry-${url}-${attempt}`, delay);
+            if (!completed) {
+                throw new Error('GitHub fetch cancelled due to shutdown');
+            }
+        }
+    }
+}
+
+/**
+ * Load the ETag cache from disk (once)
+ * @returns {Promise<Map<string, Object>>}
+ */
+function loadCache() {
+    cachePromise ??= readJsonWithRecovery(GITHUB_CACHE_FILE, null).then(file => {
+        // The cache is disposable, so an outdated or unreadable file just starts a new one
+        if (file?.schemaVersion !== SCHEMA_VERSIONS.githubCache) return new Map();
+        return new Map(Object.entries(file.entries || {}));
+    });
+    return cachePromise;
+}
+
+/**
+ * Write the ETag cache to disk after CACHE_SAVE_DELAY (debounced)
+ * @param {Map<string, Object>} cache - Cache to save
+ */
+function scheduleCacheSave(cache) {
+    timerManager.setTimeout('github-cache-save', async () => {
+        try {
+            const cutoff = Date.now() - CACHE_MAX_AGE;
+            for (const [path, entry] of cache) {
+                if (entry.usedAt < cutoff) cache.delete(path);
+            }
+            await writeJsonAtomic(GITHUB_CACHE_FILE, {
+                schemaVersion: SCHEMA_VERSIONS.githubCache,
+                entries: Object.fromEntries(cache)
+            });
+        } catch (error) {
+            log.error({ err: error }, 'Error saving GitHub cache');
+        }
+    }, CACHE_SAVE_DELAY);
+}
+
+/**
+ * Remember the rate limit reported by a response
+ * @param {Headers} headers - Response headers
+ */
+function recordRateLimit(headers) {
+    const rateLimit = rateLimits[headers.get('X-RateLimit-Resource') || 'core'];
+    if (!rateLimit) return;
+
+    const limit = headers.get('X-RateLimit-Limit');
+    const remaining = headers.get('X-RateLimit-Remaining');
+    const reset = headers.get('X-RateLimit-Reset');
+
+    if (limit !== null) rateLimit.limit = parseInt(limit);
+    if (remaining !== null) rateLimit.remaining = parseInt(remaining);
+    if (reset !== null) rateLimit.reset = parseInt(reset) * 1000;
+}
+
+/**
+ * Get the rate limit reported by the last GitHub response for a resource
+ * @param {string} resource - "core" (REST) or "graphql"
+ * @returns {{ limit: number|null, remaining: number|null, reset: number }} Reset is a timestamp in ms
+ */
+export function getRateLimit(resource = 'core') {
+    return { ...rateLimits[resource] };
+}
+
+/**
+ * Whether a GitHub token is configured (required for the GraphQL API)
+ * @returns {boolean}
+ */
+export function hasGitHubToken() {
+    return Boolean(GITHUB_TOKEN);
+}
+
+/**
+ * Work out how long to wait before the next request of a scheduled batch.
+ * Spreads the remaining quota over the time until the rate limit resets, and defers
+ * the rest of the batch until the reset once the quota is used up.
+ * @param {number} pending - Requests still to make in this batch
+ * @returns {number} Milliseconds to wait
+ */
+export function getPacingDelay(pending) {
+    const rateLimit = rateLimits.core;
+    const baseDelay = addJitter(BASE_REQUEST_DELAY, 0.5);
+    if (rateLimit.remaining === null) return baseDelay;
+
+    const untilReset = Math.max(0, rateLimit.reset - Date.now());
+    const available = rateLimit.remaining - RATE_LIMIT_RESERVE;
+
+    if (available <= 0) {
+        log.info({ pending, resumeAt: new Date(rateLimit.reset).toISOString() }, 'GitHub rate limit used up, deferring remaining checks until reset');
+        return untilReset + BASE_REQUEST_DELAY;
+    }
+
+    if (available >= pending) return baseDelay;
+    return Math.max(baseDelay, Math.ceil(untilReset / available));
+}
+
+/**
+ * Check whether a 403/429 response is GitHub's (primary or secondary) rate limit
+ * @param {Response} response - Failed response
+ * @returns {boolean}
+ */
+function isRateLimited(response) {
+    return response.status === 429 ||
+        response.headers.get('Retry-After') !== null ||
+        response.headers.get('X-RateLimit-Remaining') === '0';
+}
+
+/**
+ * Request a GitHub REST API path.
+ * Sends the cached ETag so unchanged resources come back as 304 (which does not use up the
+ * authenticated rate limit), and waits for the rate limit to reset instead of giving up.
+ * @param {string} path - API path, e.g. "/repos/jellyfin/jellyfin/releases/latest"
+ * @returns {Promise<any|null>} Parsed JSON, or null when not found, forbidden, or still rate limited after retrying
+ */
+export async function githubRequest(path) {
+    const cache = await loadCache();
+
+    for (let attempt = 0; ; attempt++) {
+        const cached = cache.get(path);
+        const headers = {
+            'User-Agent': USER_AGENT,
+            'Accept': 'application/vnd.github.v3+json'
+        };
+        if (GITHUB_TOKEN) headers['Authorization'] = `Bearer ${GITHUB_TOKEN}`;
+        if (cached?.etag) headers['If-None-Match'] = cached.etag;
+
+        const response = await fetchWithRetry(`${API_BASE}${path}`, { headers });
+        recordRateLimit(response.headers);
+
+        if (response.status === 304 && cached) {
+            cached.usedAt = Date.now();
+            scheduleCacheSave(cache);
+            return cached.data;
+        }
+
+        if (response.ok) {
+            const data = await response.json();
+            const etag = response.headers.get('ETag');
+            if (etag) {
+                cache.set(path, { etag, data, usedAt: Date.now() });
+                scheduleCacheSave(cache);
+            }
+            return data;
+        }
+
+        if (response.status === 404) {
+            if (cache.delete(path)) scheduleCacheSave(cache);
+            return null;
+        }
+
+        if (response.status === 403 || response.status === 429) {
+            if (!isRateLimited(response)) {
+                log.warn({ status: response.status, path }, 'GitHub API request forbidden');
+                return null;
+            }
+
+            const retryAfter = response.headers.get('Retry-After');
+            const resumeAt = retryAfter ? Date.now() + parseInt(retryAfter) * 1000 : rateLimits.core.reset;
+
+            log.warn({
+                status: response.status,
+                remaining: rateLimits.core.remaining,
+                resumeAt: new Date(resumeAt).toISOString(),
+                attempt: attempt + 1,
+                path
+            }, 'GitHub API rate limited');
+
+            if (attempt >= RATE_LIMIT_RETRIES) return null;
+
+            // Wait for the limit to reset (tracked for graceful shutdown), then retry
+            const completed = await timerManager.sleep(`github-rate-limit-${path}`, Math.max(0, resumeAt - Date.now()) + BASE_REQUEST_DELAY);
+            if (!completed) {
+                throw new Error('GitHub request cancelled due to shutdown');
+            }
+            continue;
+        }
+
+        throw new Error(`GitHub API responded with ${response.status}`);
+    }
+}
+
+/**
+ * Run a GitHub GraphQL query (needs GITHUB_TOKEN)
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} The response's data; fields that failed (e.g. a missing repository) are null
+ */
+export async function githubGraphQL(query, variables = {}) {
+    if (!GITHUB_TOKEN) {
+        throw new Error('The GitHub GraphQL API requires GITHUB_TOKEN');
+    }
+
+    const response = await fetchWithRetry(`${API_BASE}/graphql`, {
+        method: 'POST',
+        headers: {
+            'User-Agent': USER_AGENT,
+            'Authorization': `Bearer ${GITHUB_TOKEN}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ query, variables })
+    });
+    recordRateLimit(response.headers);
+
+    if (!response.ok) {
+        throw new Error(`GitHub GraphQL API responded with ${response.status}`);
+    }
+
+    const { data, errors } = await response.json();
+    if (!data) {
+        throw new Error(`GitHub GraphQL query failed: ${(errors || []).map(e => e.message).join('; ')}`);
+    }
+    if (errors?.length) {
+        log.warn({ errors: errors.map(e => e.message) }, 'GitHub GraphQL query returned partial errors');
+    }
+
+    return data;
+}
@@ -0,0 +1,32 @@
+/**
+ * HTTP utilities
+ * Single Responsibility: Outgoing requests with timeouts
+ */
+
+// Default request timeout
+export const FETCH_TIMEOUT = 15000; // 15 second timeout
+
+// User agent sent with every outgoing request
+export const USER_AGENT = 'Jellyfin-Community-Bot';
+
+/**
+ * Fetch with timeout support
+ * @param {string} url - URL to fetch
+ * @param {object} options - fetch options
+ * @param {number} timeout - timeout in ms
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithTimeout(url, options = {}, timeout = FETCH_TIMEOUT) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            ...options,
+            signal: controller.signal
+        });
+        return response;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
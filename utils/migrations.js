@@ -0,0 +1,209 @@
+/**
+ * Schema migrations for files in the data directory
+ * Single Responsibility: Upgrade persisted files to the schema version the code expects
+ *
+ * Every file carries a top-level "schemaVersion" (files without one are version 0).
+ * To change a file's shape, bump its entry in SCHEMA_VERSIONS (utils/schemas.js) and
+ * add a step here that upgrades from the previous version. Steps run in order on startup.
+ */
+
+import fs from 'fs/promises';
+import { createModuleLogger } from './logger.js';
+import { readJsonWithRecovery, writeJsonAtomic } from './atomicJson.js';
+import {
+    DATA_FILE, POSTED_ITEMS_FILE, REMINDERS_FILE, SUBMISSIONS_FILE,
+    SUBSCRIPTIONS_FILE, DIGEST_QUEUE_FILE, RELEASE_HISTORY_FILE, OFFICIAL_RELEASES_FILE
+} from './paths.js';
+import {
+    SCHEMA_VERSIONS, validateDataFile, validatePostedItems, validateReminders, validateRemindersFile, validateSubmissionsFile,
+    validateSubscriptionsFile, validateDigestQueueFile, validateReleaseHistoryFile, validateOfficialReleasesFile
+} from './schemas.js';
+
+const log = createModuleLogger('migrations');
+
+/**
+ * Migration registry, keyed like SCHEMA_VERSIONS.
+ * Each step's `up` receives the data at the previous version and returns the upgraded data;
+ * the runner sets schemaVersion afterwards.
+ */
+const MIGRATIONS = {
+    data: {
+        file: DATA_FILE,
+        validate: validateDataFile,
+        steps: [
+            { version: 1, description: 'Add schemaVersion', up: (data) => data }
+        ]
+    },
+    postedItems: {
+        file: POSTED_ITEMS_FILE,
+        validate: validatePostedItems,
+        steps: [
+            {
+                version: 1,
+                description: 'Add schemaVersion and make sure both post lists exist',
+                up: (data) => ({ redditPosts: [], updatePosts: [], ...data })
+            }
+        ]
+    },
+    reminders: {
+        file: REMINDERS_FILE,
+        validate: validateRemindersFile,
+        steps: [
+            {
+                version: 1,
+                description: 'Wrap the reminder list in a versioned object, dropping invalid reminders',
+                up: (reminders) => {
+                    // Invalid reminders were skipped at load before versioning, so one must not fail the whole file
+                    const { errors, validReminders } = validateReminders(Array.isArray(reminders) ? reminders : []);
+                    if (errors.length > 0) {
+                        log.warn({ dropped: errors.length, errors }, 'Dropped invalid reminders while migrating');
+                    }
+                    return { reminders: validReminders };
+                }
+            }
+        ]
+    },
+    submissions: {
+        file: SUBMISSIONS_FILE,
+        validate: validateSubmissionsFile,
+        steps: [
+            {
+                version: 1,
+                description: 'Wrap the submission list in a versioned object',
+                up: (submissions) => ({ submissions: Array.isArray(submissions) ? submissions : [] })
+            }
+        ]
+    },
+    // The files below were versioned from the start; version 1 only stamps a file that lost its schemaVersion
+    subscriptions: {
+        file: SUBSCRIPTIONS_FILE,
+        validate: validateSubscriptionsFile,
+        steps: [
+            { version: 1, description: 'Add schemaVersion', up: (data) => ({ subscriptions: [], ...data }) }
+        ]
+    },
+    digestQueue: {
+        file: DIGEST_QUEUE_FILE,
+        validate: validateDigestQueueFile,
+        steps: [
+            { version: 1, description: 'Add schemaVersion', up: (data) => ({ entries: [], ...data }) }
+        ]
+    },
+    releaseHistory: {
+        file: RELEASE_HISTORY_FILE,
+        validate: validateReleaseHistoryFile,
+        steps: [
+            { version: 1, description: 'Add schemaVersion', up: (data) => ({ releases: [], ...data }) }
+        ]
+    },
+    officialReleases: {
+        file: OFFICIAL_RELEASES_FILE,
+        validate: validateOfficialReleasesFile,
+        steps: [
+            { version: 1, description: 'Add schemaVersion', up: (data) => ({ projects: {}, ...data }) }
+        ]
+    }
+};
+
+/**
+ * Error thrown when a file cannot be migrated safely
+ */
+export class MigrationError extends Error {
+    constructor(message, { file, errors = [] } = {}) {
+        super(message);
+        this.name = 'MigrationError';
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Read the schema version of parsed file content
+ * @param {any} data - Parsed JSON
+ * @returns {number} Version, 0 for files written before versioning
+ */
+export function getSchemaVersion(data) {
+    if (data && typeof data === 'object' && !Array.isArray(data) && Number.isInteger(data.schemaVersion)) {
+        return data.schemaVersion;
+    }
+    return 0;
+}
+
+/**
+ * Apply the steps between a file's version and the target version
+ * @param {string} name - Registry key
+ * @param {any} data - Parsed file content
+ * @returns {{ data: any, from: number, to: number }}
+ */
+export function migrateData(name, data) {
+    const { steps } = MIGRATIONS[name];
+    const target = SCHEMA_VERSIONS[name];
+    const from = getSchemaVersion(data);
+
+    if (from > target) {
+        throw new MigrationError(`${name} is at schema version ${from}, newer than supported version ${target}`);
+    }
+
+    let migrated = data;
+    for (const step of steps.filter(s => s.version > from && s.version <= target)) {
+        // Keep schemaVersion as the first key of the file
+        const upgraded = { ...step.up(migrated) };
+        delete upgraded.schemaVersion;
+        migrated = { schemaVersion: step.version, ...upgraded };
+        log.info({ file: name, version: step.version, description: step.description }, 'Applied migration step');
+    }
+
+    return { data: migrated, from, to: target };
+}
+
+/**
+ * Migrate one file on disk, backing up the original first
+ * @param {string} name - Registry key
+ * @returns {Promise<boolean>} Whether the file was migrated
+ */
+async function migrateFile(name) {
+    const { file, validate } = MIGRATIONS[name];
+    const original = await readJsonWithRecovery(file, null);
+
+    // Missing files are created at the current version by their owners
+    if (original === null) return false;
+
+    const { data, from, to } = migrateData(name, original);
+    if (from === to) return false;
+
+    const validation = validate(data);
+    if (!validation.valid) {
+        throw new MigrationError(`${name} failed validation after migrating to schema version ${to}`, {
+            file,
+            errors: validation.errors
+        });
+    }
+
+    const backupPath = `${file}.v${from}.bak`;
+    await fs.copyFile(file, backupPath);
+    await writeJsonAtomic(file, data);
+
+    log.info({ file, from, to, backupPath }, 'Migrated data file');
+    return true;
+}
+
+/**
+ * Upgrade every file in the data directory to its current schema version.
+ * Throws a MigrationError and leaves the file untouched if a migrated file fails validation.
+ * @returns {Promise<string[]>} Names of the migrated files
+ */
+export async function runMigrations() {
+    const migrated = [];
+
+    for (const name of Object.keys(MIGRATIONS)) {
+        if (await migrateFile(name)) {
+            migrated.push(name);
+        }
+    }
+
+    if (migrated.length === 0) {
+        log.debug('All data files are at their current schema version');
+    }
+
+    return migrated;
+}
@@ -4,3 +4,10 @@ export const DATA_DIR = path.join(process.cwd(), 'data');
 export const DATA_FILE = path.join(DATA_DIR, 'data.json');
 export const POSTED_ITEMS_FILE = path.join(DATA_DIR, 'postedItems.json');
 export const REMINDERS_FILE = path.join(DATA_DIR, 'reminders.json');
+export const SUBMISSIONS_FILE = path.join(DATA_DIR, 'submissions.json');
+export const SUBSCRIPTIONS_FILE = path.join(DATA_DIR, 'subscriptions.json');
+export const RELEASE_HISTORY_FILE = path.join(DATA_DIR, 'releaseHistory.json');
+export const DIGEST_QUEUE_FILE = path.join(DATA_DIR, 'digestQueue.json');
+export const SQLITE_FILE = path.join(DATA_DIR, 'bot.sqlite');
+export const OFFICIAL_RELEASES_FILE = path.join(DATA_DIR, 'officialReleases.json');
+export const GITHUB_CACHE_FILE = path.join(DATA_DIR, 'githubCache.json');
@@ -0,0 +1,30 @@
+/**
+ * Permission helpers for moderator-only features
+ * Single Responsibility: Decide whether a guild member counts as a moderator
+ */
+
+import { PermissionFlagsBits } from 'discord.js';
+
+// Permission that identifies moderators by default
+export const MODERATOR_PERMISSION = PermissionFlagsBits.ManageMessages;
+
+/**
+ * Check whether the user behind an interaction is a moderator.
+ * Members with Manage Messages always qualify; MOD_ROLE_ID grants access to an extra role.
+ * @param {Interaction} interaction - Any guild interaction
+ * @returns {boolean} Whether the user is a moderator
+ */
+export function isModerator(interaction) {
+    if (!interaction.inGuild()) return false;
+
+    if (interaction.memberPermissions?.has(MODERATOR_PERMISSION)) {
+        return true;
+    }
+
+    const modRoleId = process.env.MOD_ROLE_ID;
+    if (!modRoleId) return false;
+
+    const roles = interaction.member?.roles;
+    // Cached GuildMember exposes a RoleManager, raw API members a plain array of IDs
+    return Array.isArray(roles) ? roles.includes(modRoleId) : Boolean(roles?.cache?.has(modRoleId));
+}
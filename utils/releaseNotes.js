@@ -0,0 +1,268 @@
+/**
+ * Release notes rendering
+ * Single Responsibility: Convert GitHub-flavored markdown release notes to the markdown Discord renders,
+ * and split long notes into message-sized chunks
+ */
+
+import { getForge } from './forges/index.js';
+
+// Discord message content limit, used for follow-up messages
+export const MESSAGE_LIMIT = 2000;
+
+// Code fence opening or closing line, e.g. "```js" or "~~~"
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+
+// HTML tags GitHub renders in release notes; anything else in angle brackets is left alone
+const HTML_TAG_PATTERN = /<\/?(?:a|b|blockquote|br|center|code|dd|del|details|div|dl|dt|em|h[1-6]|hr|i|img|ins|kbd|li|ol|p|picture|pre|s|source|span|strong|sub|summary|sup|table|tbody|td|th|thead|tr|u|ul|video)\b[^>]*>/gi;
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+// GitHub alert blocks ("> [!NOTE]") and the label shown instead
+const ALERT_LABELS = { NOTE: 'ℹ️ **Note**', TIP: '💡 **Tip**', IMPORTANT: '❗ **Important**', WARNING: '⚠️ **Warning**', CAUTION: '🛑 **Caution**' };
+
+/**
+ * Read an attribute from an HTML tag
+ * @param {string} tag - Tag source, e.g. '<img src="..." alt="...">'
+ * @param {string} name - Attribute name
+ * @returns {string} Attribute value, or '' if missing
+ */
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    return match ? (match[1] ?? match[2]) : '';
+}
+
+/**
+ * Replace the HTML GitHub allows in release notes with markdown, dropping unknown tags
+ * @param {string} text - Text outside code spans
+ * @returns {string}
+ */
+function convertHtml(text) {
+    return text
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<img\b[^>]*>/gi, tag => {
+            const src = getAttribute(tag, 'src');
+            return src ? `[🖼️ ${getAttribute(tag, 'alt') || 'Image'}](${src})` : '';
+        })
+        .replace(/<a\b[^>]*>([\s\S]*?)<\/a>/gi, (tag, label) => {
+            const href = getAttribute(tag, 'href');
+            return href ? `[${label.trim() || href}](${href})` : label;
+        })
+        .replace(/<(b|strong|summary|h[1-6])\b[^>]*>([\s\S]*?)<\/\1>/gi, (tag, name, content) => `**${content.trim()}**`)
+        .replace(/<(i|em)\b[^>]*>([\s\S]*?)<\/\1>/gi, (tag, name, content) => `*${content.trim()}*`)
+        .replace(/<(code|kbd)\b[^>]*>([\s\S]*?)<\/\1>/gi, (tag, name, content) => `\`${content}\``)
+        .replace(/<(del|s)\b[^>]*>([\s\S]*?)<\/\1>/gi, (tag, name, content) => `~~${content}~~`)
+        .replace(HTML_TAG_PATTERN, '')
+        .replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, entity => HTML_ENTITIES[entity]);
+}
+
+/**
+ * Link issue and pull request references and @mentions in plain text
+ * @param {string} text - Text outside code spans and links
+ * @param {Object|null} repo - Repository from parseRepoUrl() that "#123" refers to; GitHub links are used without one
+ * @returns {string}
+ */
+function linkReferences(text, repo) {
+    const forge = getForge(repo?.forge || 'github');
+    const link = (label, url) => (url ? `[${label}](${url})` : label);
+
+    return text
+        .replace(/(?<![\w/.-])([\w.-]+)\/([\w.-]+)#(\d+)\b/g, (ref, owner, name, number) =>
+            link(ref, forge.issueUrl({ host: repo?.host, owner, repo: name }, number)))
+        .replace(/(?<![\w&#/[])#(\d+)\b/g, (ref, number) => (repo ? link(ref, forge.issueUrl(repo, number)) : ref))
+        .replace(/(?<![\w@`/[])@([A-Za-z\d](?:[A-Za-z\d]|-(?=[A-Za-z\d])){0,38})(?![\w@/])/g, (mention, user) =>
+            link(mention, forge.userUrl(repo, user)));
+}
+
+/**
+ * Shorten a bare GitHub issue or pull request URL to its reference, e.g. "#123" or "owner/repo#123"
+ * @param {string} url - Bare URL from the notes
+ * @param {Object|null} repo - Repository of the release
+ * @returns {string} Masked link, or the URL unchanged
+ */
+function shortenGitHubUrl(url, repo) {
+    const match = url.match(/^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/(?:issues|pull)\/(\d+)\/?$/);
+    if (!match) return url;
+
+    const [, owner, name, number] = match;
+    const sameRepo = repo?.forge === 'github' && owner.toLowerCase() === repo.owner.toLowerCase() && name.toLowerCase() === repo.repo.toLowerCase();
+    return `[${sameRepo ? '' : `${owner}/${name}`}#${number}](${url})`;
+}
+
+/**
+ * Convert inline markdown in one line of text
+ * @param {string} line - Line outside code blocks
+ * @param {Object|null} repo - Repository of the release from parseRepoUrl()
+ * @returns {string}
+ */
+function renderInline(line, repo) {
+    // Odd parts are code spans, which are kept as written
+    return line.split(/(`+[^`]*`+)/).map((part, index) => {
+        if (index % 2 === 1) return part;
+
+        const text = convertHtml(part)
+            .replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?[^)]*\)/g, (image, alt, url) => `[🖼️ ${alt || 'Image'}](${url})`)
+            .replace(/__(?=\S)(.+?)(?<=\S)__/g, '**$1**');
+
+        // Existing links and bare URLs are kept; references are only linked in the text around them
+        return text.split(/(\[[^\]]*\]\([^)]*\)|<https?:\/\/[^>\s]+>|https?:\/\/[^\s<>()]+)/).map((segment, segmentIndex) => {
+            if (segmentIndex % 2 === 0) return linkReferences(segment, repo);
+            return /^https?:/.test(segment) ? shortenGitHubUrl(segment, repo) : segment;
+        }).join('');
+    }).join('');
+}
+
+/**
+ * Convert the markdown between code blocks
+ * @param {string[]} lines - Lines outside code blocks
+ * @param {Object|null} repo - Repository of the release from parseRepoUrl()
+ * @returns {string[]}
+ */
+function renderBlock(lines, repo) {
+    const output = [];
+    // Indentation of the enclosing list items, outermost first
+    let listIndents = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/\t/g, '    ');
+        const next = lines[i + 1] || '';
+
+        if (!line.trim()) {
+            output.push('');
+            continue;
+        }
+
+        // Setext headings: a line underlined with === or ---
+        if (/^ {0,3}(=+|-+)\s*$/.test(next) && !/^\s*([-*+]|\d+[.)])\s/.test(line) && !/^\s*>/.test(line)) {
+            output.push(`**${renderInline(line.trim(), repo)}**`);
+            listIndents = [];
+            i++;
+            continue;
+        }
+
+        const heading = line.match(/^ {0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/);
+        if (heading) {
+            output.push(`**${renderInline(heading[1], repo)}**`);
+            listIndents = [];
+            continue;
+        }
+
+        // Horizontal rules separate sections with a blank line
+        if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            output.push('');
+            listIndents = [];
+            continue;
+        }
+
+        const item = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            const indent = item[1].length;
+            while (listIndents.length > 0 && listIndents[listIndents.length - 1] > indent) listIndents.pop();
+            if (listIndents.length === 0 || listIndents[listIndents.length - 1] < indent) listIndents.push(indent);
+
+            const marker = /\d/.test(item[2]) ? `${parseInt(item[2], 10)}.` : '-';
+            const content = item[3].replace(/^\[([ xX])\]\s+/, (box, state) => (state === ' ' ? '☐ ' : '☑ '));
+            output.push(`${'  '.repeat(listIndents.length - 1)}${marker} ${renderInline(content, repo)}`);
+            continue;
+        }
+
+        const quote = line.match(/^\s*>\s?(.*)$/);
+        if (quote) {
+            const alert = quote[1].match(/^\[!(\w+)\]\s*$/);
+            const label = alert && ALERT_LABELS[alert[1].toUpperCase()];
+            output.push(`> ${label || renderInline(quote[1], repo)}`);
+            listIndents = [];
+            continue;
+        }
+
+        // Continuation lines of a list item stay indented under it
+        const indented = listIndents.length > 0 && /^\s/.test(line);
+        if (!indented) listIndents = [];
+        output.push(`${indented ? '  '.repeat(listIndents.length) : ''}${renderInline(line.trim(), repo)}`);
+    }
+
+    return output;
+}
+
+/**
+ * Convert GitHub-flavored markdown release notes to Discord markdown.
+ * Headings become bold lines, nested lists are re-indented, HTML and comments are converted or dropped,
+ * images become links, and "#123", "owner/repo#123" and "@user" link to the repository's forge.
+ * @param {string} markdown - Release body from GitHub
+ * @param {Object} [options]
+ * @param {Object|null} [options.repo] - Repository from parseRepoUrl() that bare "#123" references belong to
+ * @returns {string} Discord markdown, or '' if the notes are empty
+ */
+export function renderReleaseNotes(markdown, { repo = null } = {}) {
+    const lines = String(markdown || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\u200B-\u200D\uFEFF]/g, '')
+        .split('\n');
+
+    const output = [];
+    let text = [];
+    let fence = null;
+
+    for (const line of lines) {
+        const match = line.match(FENCE_PATTERN);
+
+        if (fence) {
+            if (match && match[1][0] === fence[0] && match[1].length >= fence.length && !match[2]) {
+                output.push('```');
+                fence = null;
+            } else {
+                output.push(line);
+            }
+            continue;
+        }
+
+        if (match) {
+            // HTML comments can span lines, so they are removed per block of text
+            output.push(...renderBlock(text.join('\n').replace(/<!--[\s\S]*?(?:-->|$)/g, '').split('\n'), repo));
+            output.push(`\`\`\`${match[2]}`);
+            text = [];
+            fence = match[1];
+            continue;
+        }
+
+        text.push(line);
+    }
+
+    output.push(...renderBlock(text.join('\n').replace(/<!--[\s\S]*?(?:-->|$)/g, '').split('\n'), repo));
+    if (fence) output.push('```');
+
+    return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Split rendered notes into chunks of at most maxLength characters at line breaks.
+ * A code block cut in two is closed at the end of one chunk and reopened in the next.
+ * @param {string} notes - Notes from renderReleaseNotes()
+ * @param {number} [maxLength] - Maximum chunk length
+ * @returns {string[]} Chunks, empty if there are no notes
+ */
+export function splitReleaseNotes(notes, maxLength = MESSAGE_LIMIT) {
+    const chunks = [];
+    // Room for closing and reopening a code block around a split
+    const lineLength = maxLength - 40;
+    let current = '';
+    let fence = null;
+
+    for (const rawLine of (notes || '').split('\n')) {
+        const pieces = rawLine.length > lineLength ? rawLine.match(new RegExp(`[\\s\\S]{1,${lineLength}}`, 'g')) : [rawLine];
+
+        for (const line of pieces) {
+            const candidate = current ? `${current}\n${line}` : line;
+            if (current && candidate.length + (fence ? 4 : 0) > maxLength) {
+                chunks.push(fence ? `${current}\n\`\`\`` : current);
+                current = fence ? `${fence}\n${line}` : line;
+            } else {
+                current = candidate;
+            }
+        }
+
+        if (rawLine.startsWith('```')) fence = fence ? null : rawLine;
+    }
+
+    if (current.trim()) chunks.push(current);
+    return chunks.map(chunk => chunk.trim()).filter(Boolean);
+}
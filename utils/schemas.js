@@ -6,7 +6,25 @@
 import { validateStructure } from './validate.js';
 import { validateUrl } from './validators/url.js';
 import { validateUserId } from './validators/discord.js';
+import { parseRange, parseVersion } from './semver.js';
 import { botLogger as log } from './logger.js';
+import { parseFeaturedDate, PLATFORMS, FEATURES, PRICES, RELEASE_TRACKS } from '../config.js';
+
+/**
+ * Current schema version of each file in the data directory.
+ * Bump a version together with a new step in utils/migrations.js.
+ */
+export const SCHEMA_VERSIONS = {
+    data: 1,
+    postedItems: 1,
+    reminders: 1,
+    submissions: 1,
+    subscriptions: 1,
+    digestQueue: 1,
+    releaseHistory: 1,
+    officialReleases: 1,
+    githubCache: 1 // Disposable cache, started over instead of migrated
+};
 
 /**
  * Schema for reminder objects
@@ -27,8 +45,11 @@ export const reminderSchema = {
  * Schema for reminders file
  */
 export const remindersFileSchema = {
-    type: 'array',
-    items: reminderSchema
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'number', required: true },
+        reminders: { type: 'array', required: true, items: reminderSchema }
+    }
 };
 
 /**
@@ -65,7 +86,77 @@ export const projectSchema = {
                 published_at: { type: 'string' }
             }
         },
-        lastChecked: { type: 'string' }
+        lastPrerelease: {
+            type: 'object',
+            properties: {
+                tag: { type: 'string' },
+                url: { type: 'string' },
+                published_at: { type: 'string' }
+            }
+        },
+        releaseTracking: {
+            type: 'object',
+            properties: {
+                track: { type: 'string', required: true },
+                stableChannelId: { type: 'string' },
+                prereleaseChannelId: { type: 'string' }
+            }
+        },
+        lastChecked: { type: 'string' },
+        tags: {
+            type: 'object',
+            properties: {
+                platforms: { type: 'array', items: { type: 'string' } },
+                features: { type: 'array', items: { type: 'string' } },
+                license: { type: 'string' },
+                price: { type: 'string' }
+            }
+        },
+        compatibility: {
+            type: 'object',
+            properties: {
+                server: { type: 'string' }
+            }
+        },
+        featured: {
+            type: 'object',
+            properties: {
+                start: { type: 'string' },
+                end: { type: 'string' },
+                note: { type: 'string' },
+                roleId: { type: 'string' }
+            }
+        },
+        health: {
+            type: 'object',
+            properties: {
+                stars: { type: 'number' },
+                openIssues: { type: 'number' },
+                archived: { type: 'boolean' },
+                lastCommit: { type: 'string' },
+                checkedAt: { type: 'string' }
+            }
+        },
+        manifest: {
+            type: 'object',
+            properties: {
+                guid: { type: 'string', required: true },
+                source: { type: 'string', required: true },
+                versions: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            version: { type: 'string', required: true },
+                            targetAbi: { type: 'string' },
+                            changelog: { type: 'string' },
+                            timestamp: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
     }
 };
 
@@ -75,6 +166,7 @@ export const projectSchema = {
 export const dataFileSchema = {
     type: 'object',
     properties: {
+        schemaVersion: { type: 'number', required: true },
         third_party_clients: { type: 'array', items: projectSchema },
         plugins: { type: 'array', items: projectSchema },
         services: { type: 'array', items: projectSchema }
@@ -87,11 +179,136 @@ export const dataFileSchema = {
 export const postedItemsSchema = {
     type: 'object',
     properties: {
+        schemaVersion: { type: 'number', required: true },
         redditPosts: { type: 'array', items: { type: 'string' } },
         updatePosts: { type: 'array', items: { type: 'string' } }
     }
 };
 
+/**
+ * Possible states of a project submission
+ */
+export const SUBMISSION_STATUSES = ['pending', 'approved', 'rejected', 'changes_requested'];
+
+/**
+ * Schema for project submission objects
+ */
+export const submissionSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', required: true },
+        status: { type: 'string', required: true },
+        category: { type: 'string', required: true },
+        project: { ...projectSchema, required: true },
+        submitterId: { type: 'string', required: true },
+        submittedAt: { type: 'string', required: true },
+        reviewChannelId: { type: 'string' },
+        reviewMessageId: { type: 'string' },
+        reviewerId: { type: 'string' },
+        reviewedAt: { type: 'string' },
+        note: { type: 'string' }
+    }
+};
+
+/**
+ * Schema for submissions file
+ */
+export const submissionsFileSchema = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'number', required: true },
+        submissions: { type: 'array', required: true, items: submissionSchema }
+    }
+};
+
+/**
+ * Schema for subscriptions.json
+ */
+export const subscriptionsFileSchema = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'number', required: true },
+        subscriptions: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    userId: { type: 'string', required: true },
+                    project: { type: 'string', required: true },
+                    delivery: { type: 'string', required: true },
+                    createdAt: { type: 'string', required: true }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Schema for digestQueue.json
+ */
+export const digestQueueFileSchema = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'number', required: true },
+        entries: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', required: true },
+                    category: { type: 'string', required: true },
+                    project: { type: 'string', required: true },
+                    name: { type: 'string', required: true },
+                    tag: { type: 'string', required: true },
+                    releaseChannel: { type: 'string', required: true },
+                    channelId: { type: 'string', required: true },
+                    queuedAt: { type: 'string', required: true }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Schema for releaseHistory.json
+ */
+export const releaseHistoryFileSchema = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'number', required: true },
+        releases: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', required: true },
+                    category: { type: 'string', required: true },
+                    project: { type: 'string', required: true },
+                    name: { type: 'string', required: true },
+                    tag: { type: 'string', required: true },
+                    releaseChannel: { type: 'string', required: true },
+                    publishedAt: { type: 'string', required: true },
+                    recordedAt: { type: 'string', required: true }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Schema for officialReleases.json
+ */
+export const officialReleasesFileSchema = {
+    type: 'object',
+    properties: {
+        schemaVersion: { type: 'number', required: true },
+        projects: { type: 'object', required: true }
+    }
+};
+
 /**
  * Validate a reminder object
  * @param {Object} reminder - Reminder to validate
@@ -197,6 +414,47 @@ export function validateProject(project) {
         errors.push('Invalid status URL');
     }
 
+    // Tags must use the known platform, feature and price keys
+    if (project.tags) {
+        const unknownPlatforms = (project.tags.platforms || []).filter(p => !(p in PLATFORMS));
+        const unknownFeatures = (project.tags.features || []).filter(f => !(f in FEATURES));
+        if (unknownPlatforms.length > 0) errors.push(`Unknown platforms: ${unknownPlatforms.join(', ')}`);
+        if (unknownFeatures.length > 0) errors.push(`Unknown features: ${unknownFeatures.join(', ')}`);
+        if (project.tags.price && !(project.tags.price in PRICES)) errors.push(`Unknown price: ${project.tags.price}`);
+    }
+
+    // Compatibility must be a parseable server version range
+    if (project.compatibility?.server && !parseRange(project.compatibility.server)) {
+        errors.push('Invalid server compatibility range');
+    }
+
+    // Release tracking must use a known track and Discord channel IDs
+    if (project.releaseTracking) {
+        const { track, stableChannelId, prereleaseChannelId } = project.releaseTracking;
+        if (!(track in RELEASE_TRACKS)) errors.push(`Unknown release track: ${track}`);
+        for (const channelId of [stableChannelId, prereleaseChannelId]) {
+            if (channelId && !/^\d{17,19}$/.test(channelId)) errors.push(`Invalid release channel ID: ${channelId}`);
+        }
+    }
+
+    // Imported plugin versions must be parseable Jellyfin versions
+    if (project.manifest) {
+        const invalidVersions = project.manifest.versions
+            .filter(v => !parseVersion(v.version) || (v.targetAbi && !parseVersion(v.targetAbi)))
+            .map(v => v.version);
+        if (invalidVersions.length > 0) errors.push(`Invalid manifest versions: ${invalidVersions.join(', ')}`);
+    }
+
+    // Featured dates must parse and form a valid window, and a featured role must be a Discord ID
+    if (project.featured) {
+        const start = parseFeaturedDate(project.featured.start);
+        const end = parseFeaturedDate(project.featured.end, true);
+        if (project.featured.start && start === null) errors.push('Invalid featured start date');
+        if (project.featured.end && end === null) errors.push('Invalid featured end date');
+        if (project.featured.roleId && !/^\d{17,19}$/.test(project.featured.roleId)) errors.push(`Invalid featured role ID: ${project.featured.roleId}`);
+        if (start !== null && end !== null && end < start) errors.push('Featured end date is before start date');
+    }
+
     return {
         valid: errors.length === 0,
         errors: [...result.errors, ...errors]
@@ -213,6 +471,10 @@ export function validateDataFile(data) {
     const errors = [...result.errors];
     const stats = { clients: 0, plugins: 0, services: 0, invalid: 0 };
 
+    if (result.valid && data.schemaVersion !== SCHEMA_VERSIONS.data) {
+        errors.push(`schemaVersion: expected ${SCHEMA_VERSIONS.data}, got ${data.schemaVersion}`);
+    }
+
     // Validate each category
     const categories = ['third_party_clients', 'plugins', 'services'];
     const statKeys = ['clients', 'plugins', 'services'];
@@ -239,6 +501,144 @@ export function validateDataFile(data) {
     };
 }
 
+/**
+ * Validate submissions array
+ * @param {Array} submissions - Array of submissions
+ * @returns {{ valid: boolean, errors: string[], validSubmissions: Array }}
+ */
+export function validateSubmissions(submissions) {
+    if (!Array.isArray(submissions)) {
+        return { valid: false, errors: ['Expected array of submissions'], validSubmissions: [] };
+    }
+
+    const errors = [];
+    const validSubmissions = [];
+
+    submissions.forEach((submission, index) => {
+        const result = validateStructure(submission, submissionSchema);
+        const semanticErrors = [];
+
+        if (result.valid) {
+            if (!SUBMISSION_STATUSES.includes(submission.status)) {
+                semanticErrors.push('Invalid status');
+            }
+            if (!validateUserId(submission.submitterId)) {
+                semanticErrors.push('Invalid submitterId format');
+            }
+        }
+
+        if (result.valid && semanticErrors.length === 0) {
+            validSubmissions.push(submission);
+        } else {
+            errors.push(`Submission[${index}]: ${[...result.errors, ...semanticErrors].join(', ')}`);
+        }
+    });
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        validSubmissions
+    };
+}
+
+/**
+ * Validate a versioned file wrapping a list (reminders.json, submissions.json)
+ * @param {Object} data - File content
+ * @param {Object} schema - File schema
+ * @param {number} version - Expected schema version
+ * @param {Function} validateItems - Validator for the wrapped list
+ * @param {string} key - Key of the wrapped list
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateListFile(data, schema, version, validateItems, key) {
+    const result = validateStructure(data, schema);
+    if (!result.valid) {
+        return result;
+    }
+
+    const errors = [];
+    if (data.schemaVersion !== version) {
+        errors.push(`schemaVersion: expected ${version}, got ${data.schemaVersion}`);
+    }
+    errors.push(...validateItems(data[key]).errors);
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate reminders.json content
+ * @param {Object} data - Reminders file content
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateRemindersFile(data) {
+    return validateListFile(data, remindersFileSchema, SCHEMA_VERSIONS.reminders, validateReminders, 'reminders');
+}
+
+/**
+ * Validate submissions.json content
+ * @param {Object} data - Submissions file content
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateSubmissionsFile(data) {
+    return validateListFile(data, submissionsFileSchema, SCHEMA_VERSIONS.submissions, validateSubmissions, 'submissions');
+}
+
+/**
+ * Validate a versioned file whose content is fully described by its schema
+ * @param {Object} data - File content
+ * @param {Object} schema - File schema
+ * @param {number} version - Expected schema version
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateVersionedFile(data, schema, version) {
+    const result = validateStructure(data, schema);
+    if (!result.valid) {
+        return result;
+    }
+
+    if (data.schemaVersion !== version) {
+        return { valid: false, errors: [`schemaVersion: expected ${version}, got ${data.schemaVersion}`] };
+    }
+
+    return { valid: true, errors: [] };
+}
+
+/**
+ * Validate subscriptions.json content
+ * @param {Object} data - Subscriptions file content
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateSubscriptionsFile(data) {
+    return validateVersionedFile(data, subscriptionsFileSchema, SCHEMA_VERSIONS.subscriptions);
+}
+
+/**
+ * Validate digestQueue.json content
+ * @param {Object} data - Digest queue file content
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateDigestQueueFile(data) {
+    return validateVersionedFile(data, digestQueueFileSchema, SCHEMA_VERSIONS.digestQueue);
+}
+
+/**
+ * Validate releaseHistory.json content
+ * @param {Object} data - Release history file content
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateReleaseHistoryFile(data) {
+    return validateVersionedFile(data, releaseHistoryFileSchema, SCHEMA_VERSIONS.releaseHistory);
+}
+
+/**
+ * Validate officialReleases.json content
+ * @param {Object} data - Official releases file content
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateOfficialReleasesFile(data) {
+    return validateVersionedFile(data, officialReleasesFileSchema, SCHEMA_VERSIONS.officialReleases);
+}
+
 /**
  * Validate posted items file
  * @param {Object} data - Posted items data
@@ -254,6 +654,10 @@ export function validatePostedItems(data) {
     // Ensure arrays exist with valid content
     const errors = [];
 
+    if (data.schemaVersion !== SCHEMA_VERSIONS.postedItems) {
+        errors.push(`schemaVersion: expected ${SCHEMA_VERSIONS.postedItems}, got ${data.schemaVersion}`);
+    }
+
     if (data.redditPosts && !Array.isArray(data.redditPosts)) {
         errors.push('redditPosts must be an array');
     }
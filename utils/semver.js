@@ -0,0 +1,187 @@
+/**
+ * Version range utilities for Jellyfin server versions
+ * Single Responsibility: Parse versions and semver-style ranges, including four-part tags like 10.10.0.0
+ *
+ * Supported range syntax:
+ * - Comparators: >=10.9.0, <10.11, =10.10.3, 10.10.3
+ * - Wildcards:   10.10.x, 10.10.*, 10.10, *
+ * - Tilde/caret: ~10.9.1 (>=10.9.1 <10.10.0), ^10.9.0 (>=10.9.0 <11.0.0)
+ * - Hyphen:      10.9.0 - 10.10.3 (inclusive)
+ * - Sets:        space-separated comparators must all match, "||" separates alternatives
+ */
+
+// Jellyfin versions have up to four numeric parts (major.minor.patch.revision)
+const VERSION_PARTS = 4;
+
+/**
+ * Parse a version string into four numeric parts.
+ * A leading "v" and any pre-release/build suffix are ignored.
+ * @param {string} version - Version like "10.10.0.0", "v10.9.11" or "10.11.0-rc1"
+ * @returns {number[]|null} Four numbers, or null if not a version
+ */
+export function parseVersion(version) {
+    const match = String(version ?? '').trim().match(/^v?(\d+(?:\.\d+){0,3})(?:[-+].*)?$/i);
+    if (!match) return null;
+
+    const parts = match[1].split('.').map(Number);
+    while (parts.length < VERSION_PARTS) parts.push(0);
+    return parts;
+}
+
+/**
+ * Compare two parsed versions
+ * @param {number[]} a - Parsed version
+ * @param {number[]} b - Parsed version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+    for (let i = 0; i < VERSION_PARTS; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Parse a partial version where missing or wildcard parts are allowed
+ * @param {string} text - Version like "10.10", "10.10.x" or "*"
+ * @returns {{ parts: number[], precision: number }|null} Parsed parts and how many were given
+ */
+function parsePartial(text) {
+    const cleaned = text.replace(/^v/i, '').replace(/[-+].*$/, '');
+    if (cleaned === '' || /^[x*]$/i.test(cleaned)) return { parts: [0, 0, 0, 0], precision: 0 };
+
+    const segments = cleaned.split('.');
+    if (segments.length > VERSION_PARTS) return null;
+
+    const parts = [];
+    for (const segment of segments) {
+        if (/^[x*]$/i.test(segment)) break;
+        if (!/^\d+$/.test(segment)) return null;
+        parts.push(Number(segment));
+    }
+
+    const precision = parts.length;
+    while (parts.length < VERSION_PARTS) parts.push(0);
+    return { parts, precision };
+}
+
+/**
+ * Increment the part at a position, zeroing everything after it
+ * @param {number[]} parts - Parsed version
+ * @param {number} index - Part to increment
+ * @returns {number[]}
+ */
+function bump(parts, index) {
+    return parts.map((value, i) => (i < index ? value : i === index ? value + 1 : 0));
+}
+
+/**
+ * Expand a single range token into primitive comparators
+ * @param {string} operator - Operator ('', '=', '>', '>=', '<', '<=', '~', '^')
+ * @param {string} operand - Version operand
+ * @returns {Array<{ op: string, version: number[] }>|null}
+ */
+function expandComparator(operator, operand) {
+    const partial = parsePartial(operand);
+    if (!partial) return null;
+
+    const { parts, precision } = partial;
+    if (precision === 0) return [];
+
+    switch (operator) {
+    case '>':
+        return precision === VERSION_PARTS
+            ? [{ op: '>', version: parts }]
+            : [{ op: '>=', version: bump(parts, precision - 1) }];
+    case '>=':
+        return [{ op: '>=', version: parts }];
+    case '<':
+        return [{ op: '<', version: parts }];
+    case '<=':
+        return precision === VERSION_PARTS
+            ? [{ op: '<=', version: parts }]
+            : [{ op: '<', version: bump(parts, precision - 1) }];
+    case '~':
+        return [{ op: '>=', version: parts }, { op: '<', version: bump(parts, Math.min(precision, 2) - 1) }];
+    case '^': {
+        const firstNonZero = parts.findIndex(value => value !== 0);
+        const index = firstNonZero === -1 || firstNonZero >= precision ? precision - 1 : firstNonZero;
+        return [{ op: '>=', version: parts }, { op: '<', version: bump(parts, index) }];
+    }
+    default:
+        // Bare or "=" versions match everything the given precision covers
+        return precision === VERSION_PARTS
+            ? [{ op: '=', version: parts }]
+            : [{ op: '>=', version: parts }, { op: '<', version: bump(parts, precision - 1) }];
+    }
+}
+
+/**
+ * Parse a version range into alternative sets of comparators
+ * @param {string} range - Range like ">=10.9 <10.11 || 10.11.x"
+ * @returns {Array<Array<{ op: string, version: number[] }>>|null} Alternatives, or null if invalid
+ */
+export function parseRange(range) {
+    if (typeof range !== 'string' || !range.trim()) return null;
+
+    const alternatives = [];
+    for (const alternative of range.split('||')) {
+        const text = alternative.trim();
+        const comparators = [];
+
+        const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+        if (hyphen) {
+            const lower = expandComparator('>=', hyphen[1]);
+            const upper = expandComparator('<=', hyphen[2]);
+            if (!lower || !upper) return null;
+            comparators.push(...lower, ...upper);
+        } else {
+            // Allow "<= 10.10" as well as "<=10.10"
+            const tokens = text.replace(/(>=|<=|>|<|=|~|\^)\s+/g, '$1').split(/\s+/).filter(Boolean);
+            for (const token of tokens) {
+                const match = token.match(/^(>=|<=|>|<|=|~|\^)?(.+)$/);
+                const expanded = match && expandComparator(match[1] || '', match[2]);
+                if (!expanded) return null;
+                comparators.push(...expanded);
+            }
+        }
+
+        alternatives.push(comparators);
+    }
+
+    return alternatives;
+}
+
+/**
+ * Check whether a version satisfies a range
+ * @param {string} version - Version like "10.10.3" or "10.10.0.0"
+ * @param {string} range - Range string (see module docs)
+ * @returns {boolean} False if the version or range is invalid
+ */
+export function satisfies(version, range) {
+    const parsed = parseVersion(version);
+    const alternatives = parseRange(range);
+    if (!parsed || !alternatives) return false;
+
+    return alternatives.some(comparators => comparators.every(({ op, version: bound }) => {
+        const cmp = compareVersions(parsed, bound);
+        switch (op) {
+        case '>': return cmp > 0;
+        case '>=': return cmp >= 0;
+        case '<': return cmp < 0;
+        case '<=': return cmp <= 0;
+        default: return cmp === 0;
+        }
+    }));
+}
+
+/**
+ * Format a parsed version, dropping trailing zero parts beyond major.minor.patch
+ * @param {number[]} parts - Parsed version
+ * @returns {string} Version like "10.10.3"
+ */
+export function formatVersion(parts) {
+    const trimmed = [...parts];
+    while (trimmed.length > 3 && trimmed[trimmed.length - 1] === 0) trimmed.pop();
+    return trimmed.join('.');
+}
@@ -4,6 +4,7 @@
  */
 
 import { timerManager } from './timerManager.js';
+import { closeStorage } from './storage/index.js';
 import { createModuleLogger } from './logger.js';
 
 const log = createModuleLogger('shutdown');
@@ -50,6 +51,9 @@ async function handleShutdown(signal) {
         // Clear all timers first
         timerManager.clearAll();
 
+        // Flush and close the storage backend
+        await closeStorage();
+
         // Destroy Discord client connection
         if (client) {
             log.info('Disconnecting from Discord');
@@ -0,0 +1,66 @@
+/**
+ * Storage for bot state (reminders, posted items, release subscriptions, the release digest queue, and release history)
+ * Single Responsibility: Pick the configured backend and hand it to the modules that keep state
+ *
+ * Backends share one async interface:
+ * - listReminders(), addReminder(reminder), removeReminder(id), replaceReminders(reminders)
+ * - hasPosted(kind, key), listPosted(kind), markPosted(kind, keys, limit)
+ * - listSubscriptions({ userId, project }), addSubscription(subscription), removeSubscription(userId, project)
+ * - listDigestEntries(category), addDigestEntry(entry), removeDigestEntries(ids)
+ * - listReleaseHistory(filter), addReleaseHistory(entry, limit)
+ * - init(), close()
+ * Posted item kinds are 'reddit' (Reddit feed links) and 'update' (release announcements).
+ */
+
+import { createModuleLogger } from '../logger.js';
+import { SQLITE_FILE } from '../paths.js';
+import { JsonStorage } from './jsonStorage.js';
+import { SqliteStorage } from './sqliteStorage.js';
+
+const log = createModuleLogger('storage');
+
+export const STORAGE_BACKENDS = {
+    json: () => new JsonStorage(),
+    sqlite: () => new SqliteStorage(SQLITE_FILE)
+};
+
+let storage = null;
+
+/**
+ * Open the storage backend selected by STORAGE_BACKEND (default "json")
+ * @param {string} [backend] - Backend name, overrides the environment
+ * @returns {Promise<Object>} Initialized backend
+ */
+export async function initStorage(backend = process.env.STORAGE_BACKEND || 'json') {
+    const create = STORAGE_BACKENDS[backend.toLowerCase()];
+    if (!create) {
+        throw new Error(`Unknown storage backend "${backend}", expected one of: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+
+    const instance = create();
+    await instance.init();
+    storage = instance;
+
+    log.info({ backend: storage.name }, 'Storage initialized');
+    return storage;
+}
+
+/**
+ * Get the initialized storage backend
+ * @returns {Object} Backend from initStorage()
+ */
+export function getStorage() {
+    if (!storage) {
+        throw new Error('Storage has not been initialized, call initStorage() first');
+    }
+    return storage;
+}
+
+/**
+ * Close the storage backend (called on shutdown)
+ */
+export async function closeStorage() {
+    if (!storage) return;
+    await storage.close();
+    storage = null;
+}
@@ -0,0 +1,260 @@
+/**
+ * JSON file storage backend
+ * Keeps reminders.json, postedItems.json, subscriptions.json, digestQueue.json, and releaseHistory.json in memory and writes them through atomically
+ */
+
+import { readJsonWithRecovery, writeJsonAtomic } from '../atomicJson.js';
+import { reminderMutex, stateMutex, subscriptionMutex, digestMutex, releaseHistoryMutex } from '../asyncMutex.js';
+import { POSTED_ITEMS_FILE, REMINDERS_FILE, SUBSCRIPTIONS_FILE, DIGEST_QUEUE_FILE, RELEASE_HISTORY_FILE } from '../paths.js';
+import { SCHEMA_VERSIONS } from '../schemas.js';
+
+// Posted item kinds and their list in postedItems.json
+const POSTED_LISTS = {
+    reddit: 'redditPosts',
+    update: 'updatePosts'
+};
+
+/**
+ * Get the postedItems.json list for a kind
+ * @param {string} kind - Posted item kind
+ * @returns {string} Key in postedItems.json
+ */
+function postedList(kind) {
+    const list = POSTED_LISTS[kind];
+    if (!list) throw new Error(`Unknown posted item kind: ${kind}`);
+    return list;
+}
+
+export class JsonStorage {
+    constructor() {
+        this.name = 'json';
+        this.reminders = [];
+        this.posted = { schemaVersion: SCHEMA_VERSIONS.postedItems, redditPosts: [], updatePosts: [] };
+        this.subscriptions = [];
+        this.digestEntries = [];
+        this.releaseHistory = [];
+    }
+
+    /**
+     * Load the files into memory
+     */
+    async init() {
+        const reminderFile = await readJsonWithRecovery(REMINDERS_FILE, { schemaVersion: SCHEMA_VERSIONS.reminders, reminders: [] });
+        this.reminders = reminderFile.reminders || [];
+
+        const postedFile = await readJsonWithRecovery(POSTED_ITEMS_FILE, this.posted);
+        this.posted = { ...this.posted, ...postedFile };
+
+        const subscriptionFile = await readJsonWithRecovery(SUBSCRIPTIONS_FILE, { schemaVersion: SCHEMA_VERSIONS.subscriptions, subscriptions: [] });
+        this.subscriptions = subscriptionFile.subscriptions || [];
+
+        const digestFile = await readJsonWithRecovery(DIGEST_QUEUE_FILE, { schemaVersion: SCHEMA_VERSIONS.digestQueue, entries: [] });
+        this.digestEntries = digestFile.entries || [];
+
+        const historyFile = await readJsonWithRecovery(RELEASE_HISTORY_FILE, { schemaVersion: SCHEMA_VERSIONS.releaseHistory, releases: [] });
+        this.releaseHistory = historyFile.releases || [];
+    }
+
+    /**
+     * Release the backend
+     */
+    async close() {
+        // Nothing to flush, every change is written immediately
+    }
+
+    /**
+     * Write the in-memory reminders to reminders.json
+     */
+    async saveReminders() {
+        await writeJsonAtomic(REMINDERS_FILE, { schemaVersion: SCHEMA_VERSIONS.reminders, reminders: this.reminders });
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Stored reminders
+     */
+    async listReminders() {
+        return this.reminders.map(reminder => ({ ...reminder }));
+    }
+
+    /**
+     * @param {Object} reminder - Reminder to store
+     */
+    async addReminder(reminder) {
+        return reminderMutex.runExclusive(async () => {
+            this.reminders = [...this.reminders.filter(r => r.id !== reminder.id), { ...reminder }];
+            await this.saveReminders();
+        });
+    }
+
+    /**
+     * @param {string} reminderId - ID of the reminder to remove
+     */
+    async removeReminder(reminderId) {
+        return reminderMutex.runExclusive(async () => {
+            const remaining = this.reminders.filter(r => r.id !== reminderId);
+            if (remaining.length === this.reminders.length) return;
+            this.reminders = remaining;
+            await this.saveReminders();
+        });
+    }
+
+    /**
+     * @param {Array<Object>} reminders - Reminders that replace every stored reminder
+     */
+    async replaceReminders(reminders) {
+        return reminderMutex.runExclusive(async () => {
+            this.reminders = reminders.map(reminder => ({ ...reminder }));
+            await this.saveReminders();
+        });
+    }
+
+    /**
+     * @param {string} kind - Posted item kind ('reddit' or 'update')
+     * @param {string} key - Item key
+     * @returns {Promise<boolean>}
+     */
+    async hasPosted(kind, key) {
+        return this.posted[postedList(kind)].includes(key);
+    }
+
+    /**
+     * @param {string} kind - Posted item kind
+     * @returns {Promise<string[]>} Keys, oldest first
+     */
+    async listPosted(kind) {
+        return [...this.posted[postedList(kind)]];
+    }
+
+    /**
+     * Remember items as posted, keeping only the newest `limit` of that kind
+     * @param {string} kind - Posted item kind
+     * @param {string|string[]} keys - Item keys
+     * @param {number} limit - Maximum number of keys kept for the kind
+     */
+    async markPosted(kind, keys, limit) {
+        const list = postedList(kind);
+        return stateMutex.runExclusive(async () => {
+            const current = this.posted[list];
+            const added = [].concat(keys).filter((key, index, all) => !current.includes(key) && all.indexOf(key) === index);
+            if (added.length === 0) return;
+
+            this.posted = { ...this.posted, [list]: [...current, ...added].slice(-limit) };
+            await writeJsonAtomic(POSTED_ITEMS_FILE, this.posted);
+        });
+    }
+
+    /**
+     * @param {{ userId?: string, project?: string }} [filter] - Only subscriptions of this user and/or project
+     * @returns {Promise<Array<Object>>} Subscriptions, oldest first
+     */
+    async listSubscriptions({ userId, project } = {}) {
+        return this.subscriptions
+            .filter(sub => (!userId || sub.userId === userId) && (!project || sub.project === project))
+            .map(sub => ({ ...sub }));
+    }
+
+    /**
+     * Add a subscription, or update the delivery of an existing one
+     * @param {{ userId: string, project: string, delivery: string, createdAt: string }} subscription - Subscription to store
+     */
+    async addSubscription(subscription) {
+        return subscriptionMutex.runExclusive(async () => {
+            const existing = this.subscriptions.find(sub => sub.userId === subscription.userId && sub.project === subscription.project);
+            this.subscriptions = existing
+                ? this.subscriptions.map(sub => (sub === existing ? { ...existing, delivery: subscription.delivery } : sub))
+                : [...this.subscriptions, { ...subscription }];
+            await this.saveSubscriptions();
+        });
+    }
+
+    /**
+     * @param {string} userId - Subscriber
+     * @param {string} project - Project reference
+     * @returns {Promise<boolean>} Whether a subscription was removed
+     */
+    async removeSubscription(userId, project) {
+        return subscriptionMutex.runExclusive(async () => {
+            const remaining = this.subscriptions.filter(sub => sub.userId !== userId || sub.project !== project);
+            if (remaining.length === this.subscriptions.length) return false;
+            this.subscriptions = remaining;
+            await this.saveSubscriptions();
+            return true;
+        });
+    }
+
+    /**
+     * Write the in-memory subscriptions to subscriptions.json
+     */
+    async saveSubscriptions() {
+        await writeJsonAtomic(SUBSCRIPTIONS_FILE, { schemaVersion: SCHEMA_VERSIONS.subscriptions, subscriptions: this.subscriptions });
+    }
+
+    /**
+     * @param {string} [category] - Only entries of this category type
+     * @returns {Promise<Array<Object>>} Queued digest entries, oldest first
+     */
+    async listDigestEntries(category) {
+        return this.digestEntries
+            .filter(entry => !category || entry.category === category)
+            .map(entry => ({ ...entry }));
+    }
+
+    /**
+     * @param {Object} entry - Release waiting for the next digest
+     */
+    async addDigestEntry(entry) {
+        return digestMutex.runExclusive(async () => {
+            this.digestEntries = [...this.digestEntries, { ...entry }];
+            await this.saveDigestEntries();
+        });
+    }
+
+    /**
+     * @param {string[]} ids - IDs of entries that were posted
+     */
+    async removeDigestEntries(ids) {
+        return digestMutex.runExclusive(async () => {
+            this.digestEntries = this.digestEntries.filter(entry => !ids.includes(entry.id));
+            await this.saveDigestEntries();
+        });
+    }
+
+    /**
+     * Write the in-memory digest queue to digestQueue.json
+     */
+    async saveDigestEntries() {
+        await writeJsonAtomic(DIGEST_QUEUE_FILE, { schemaVersion: SCHEMA_VERSIONS.digestQueue, entries: this.digestEntries });
+    }
+
+    /**
+     * @param {{ category?: string, project?: string, since?: string, offset?: number, limit?: number }} [filter] - Only releases
+     *     of this category and/or project published at or after `since` (ISO date); `offset` and `limit` select a page
+     * @returns {Promise<{ releases: Array<Object>, total: number }>} Matching releases, newest first, and their count
+     */
+    async listReleaseHistory({ category, project, since, offset = 0, limit } = {}) {
+        const matching = this.releaseHistory
+            .filter(release => (!category || release.category === category)
+                && (!project || release.project === project)
+                && (!since || release.publishedAt >= since));
+
+        return {
+            releases: matching.slice(offset, limit ? offset + limit : undefined).map(release => ({ ...release })),
+            total: matching.length
+        };
+    }
+
+    /**
+     * Log a release, keeping only the newest `limit` releases
+     * @param {Object} entry - Release to log
+     * @param {number} limit - Maximum number of releases kept
+     */
+    async addReleaseHistory(entry, limit) {
+        // The log is kept newest first, so listing needs no sorting
+        return releaseHistoryMutex.runExclusive(async () => {
+            this.releaseHistory = [...this.releaseHistory.filter(release => release.id !== entry.id), { ...entry }]
+                .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+                .slice(0, limit);
+            await writeJsonAtomic(RELEASE_HISTORY_FILE, { schemaVersion: SCHEMA_VERSIONS.releaseHistory, releases: this.releaseHistory });
+        });
+    }
+}
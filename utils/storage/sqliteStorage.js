@@ -0,0 +1,499 @@
+/**
+ * Embedded SQLite storage backend (node:sqlite, Node.js 22.13 or newer)
+ * Imports reminders.json, postedItems.json, subscriptions.json, digestQueue.json, and releaseHistory.json once each,
+ * the first time the database has a table for them
+ */
+
+import { createModuleLogger } from '../logger.js';
+import { readJsonWithRecovery } from '../atomicJson.js';
+import { POSTED_ITEMS_FILE, REMINDERS_FILE, SUBSCRIPTIONS_FILE, DIGEST_QUEUE_FILE, RELEASE_HISTORY_FILE } from '../paths.js';
+import { validateReminders } from '../schemas.js';
+
+const log = createModuleLogger('sqlite-storage');
+
+// Table changes, one step per PRAGMA user_version; append a step to change the tables
+const SCHEMA_STEPS = [
+    `CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE reminders (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        guild_id TEXT NOT NULL,
+        text TEXT NOT NULL,
+        reminder_time INTEGER NOT NULL
+    );
+    CREATE TABLE posted_items (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        key TEXT NOT NULL,
+        posted_at INTEGER NOT NULL,
+        UNIQUE (kind, key)
+    );`,
+    `CREATE TABLE subscriptions (
+        user_id TEXT NOT NULL,
+        project TEXT NOT NULL,
+        delivery TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, project)
+    );`,
+    `CREATE TABLE digest_entries (
+        id TEXT PRIMARY KEY,
+        category TEXT NOT NULL,
+        project TEXT NOT NULL,
+        name TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        url TEXT,
+        release_channel TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        published_at TEXT,
+        queued_at TEXT NOT NULL
+    );`,
+    `CREATE TABLE release_history (
+        id TEXT PRIMARY KEY,
+        category TEXT NOT NULL,
+        project TEXT NOT NULL,
+        name TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        url TEXT,
+        release_channel TEXT NOT NULL,
+        published_at TEXT NOT NULL,
+        recorded_at TEXT NOT NULL
+    );
+    CREATE INDEX release_history_published ON release_history (published_at);`
+];
+
+// JSON files imported once each; the meta key "imported:<name>" records the import.
+// Databases created before imports were tracked per file carry a single "importedJsonFiles" key instead,
+// which covered the `legacy` files and every other file whose table already holds rows.
+const JSON_IMPORTS = [
+    { name: 'reminders', file: REMINDERS_FILE, table: 'reminders', method: 'importReminders', legacy: true },
+    { name: 'postedItems', file: POSTED_ITEMS_FILE, table: 'posted_items', method: 'importPostedItems', legacy: true },
+    { name: 'subscriptions', file: SUBSCRIPTIONS_FILE, table: 'subscriptions', method: 'importSubscriptions' },
+    { name: 'digestQueue', file: DIGEST_QUEUE_FILE, table: 'digest_entries', method: 'importDigestQueue' },
+    { name: 'releaseHistory', file: RELEASE_HISTORY_FILE, table: 'release_history', method: 'importReleaseHistory' }
+];
+
+// Lists in postedItems.json and the kind they are stored under
+const LEGACY_POSTED_LISTS = {
+    redditPosts: 'reddit',
+    updatePosts: 'update'
+};
+
+/**
+ * Convert a reminders row to the reminder shape used by the rest of the bot
+ * @param {Object} row - Database row
+ * @returns {Object} Reminder
+ */
+function rowToReminder(row) {
+    return {
+        id: row.id,
+        text: row.text,
+        userId: row.user_id,
+        reminderTime: row.reminder_time,
+        channelId: row.channel_id,
+        guildId: row.guild_id
+    };
+}
+
+/**
+ * Convert a digest_entries row to the digest entry shape
+ * @param {Object} row - Database row
+ * @returns {Object} Digest entry
+ */
+function rowToDigestEntry(row) {
+    return {
+        id: row.id,
+        category: row.category,
+        project: row.project,
+        name: row.name,
+        tag: row.tag,
+        url: row.url,
+        releaseChannel: row.release_channel,
+        channelId: row.channel_id,
+        publishedAt: row.published_at,
+        queuedAt: row.queued_at
+    };
+}
+
+/**
+ * Convert a release_history row to the release history entry shape
+ * @param {Object} row - Database row
+ * @returns {Object} Release history entry
+ */
+function rowToReleaseHistory(row) {
+    return {
+        id: row.id,
+        category: row.category,
+        project: row.project,
+        name: row.name,
+        tag: row.tag,
+        url: row.url,
+        releaseChannel: row.release_channel,
+        publishedAt: row.published_at,
+        recordedAt: row.recorded_at
+    };
+}
+
+export class SqliteStorage {
+    /**
+     * @param {string} file - Database file path
+     */
+    constructor(file) {
+        this.name = 'sqlite';
+        this.file = file;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, create or upgrade its tables, and import the JSON files not imported yet
+     */
+    async init() {
+        let DatabaseSync;
+        try {
+            ({ DatabaseSync } = await import('node:sqlite'));
+        } catch (error) {
+            throw new Error(`The sqlite storage backend needs Node.js 22.13 or newer (running ${process.version})`, { cause: error });
+        }
+
+        this.db = new DatabaseSync(this.file);
+        this.db.exec('PRAGMA journal_mode = WAL');
+
+        const { user_version: version } = this.db.prepare('PRAGMA user_version').get();
+        for (let step = version; step < SCHEMA_STEPS.length; step++) {
+            this.transaction(() => {
+                this.db.exec(SCHEMA_STEPS[step]);
+                this.db.exec(`PRAGMA user_version = ${step + 1}`);
+            });
+            log.info({ version: step + 1 }, 'Upgraded database schema');
+        }
+
+        const legacyImport = this.db.prepare('SELECT value FROM meta WHERE key = ?').get('importedJsonFiles');
+        for (const source of JSON_IMPORTS) {
+            const key = `imported:${source.name}`;
+            if (this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key)) continue;
+
+            if (legacyImport && (source.legacy || this.db.prepare(`SELECT 1 FROM ${source.table} LIMIT 1`).get())) {
+                this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run(key, legacyImport.value);
+                continue;
+            }
+
+            await this.importJsonFile(source, key);
+        }
+    }
+
+    /**
+     * One-shot import of a JSON file from JSON_IMPORTS.
+     * The file is left in place so switching back to the json backend keeps working.
+     * @param {{ name: string, file: string, method: string }} source - File to import
+     * @param {string} key - Meta key that records the import
+     */
+    async importJsonFile(source, key) {
+        const file = await readJsonWithRecovery(source.file, {});
+
+        let count = 0;
+        this.transaction(() => {
+            count = this[source.method](file);
+            this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run(key, new Date().toISOString());
+        });
+
+        log.info({ file: source.name, count }, 'Imported JSON file into SQLite');
+    }
+
+    /**
+     * @param {Object} file - Contents of reminders.json
+     * @returns {number} Reminders imported
+     */
+    importReminders(file) {
+        const validation = validateReminders(file.reminders || []);
+        if (!validation.valid) {
+            log.warn({ errors: validation.errors }, 'Skipping reminders that failed validation during import');
+        }
+
+        for (const reminder of validation.validReminders) {
+            this.insertReminder(reminder);
+        }
+        return validation.validReminders.length;
+    }
+
+    /**
+     * @param {Object} file - Contents of postedItems.json
+     * @returns {number} Posted item keys imported
+     */
+    importPostedItems(file) {
+        let count = 0;
+        for (const [list, kind] of Object.entries(LEGACY_POSTED_LISTS)) {
+            const keys = file[list] || [];
+            this.insertPosted(kind, keys);
+            count += keys.length;
+        }
+        return count;
+    }
+
+    /**
+     * @param {Object} file - Contents of subscriptions.json
+     * @returns {number} Subscriptions imported
+     */
+    importSubscriptions(file) {
+        const subscriptions = file.subscriptions || [];
+        for (const subscription of subscriptions) {
+            this.insertSubscription(subscription);
+        }
+        return subscriptions.length;
+    }
+
+    /**
+     * @param {Object} file - Contents of digestQueue.json
+     * @returns {number} Digest entries imported
+     */
+    importDigestQueue(file) {
+        const entries = file.entries || [];
+        for (const entry of entries) {
+            this.insertDigestEntry(entry);
+        }
+        return entries.length;
+    }
+
+    /**
+     * @param {Object} file - Contents of releaseHistory.json
+     * @returns {number} Releases imported
+     */
+    importReleaseHistory(file) {
+        const releases = file.releases || [];
+        for (const release of releases) {
+            this.insertReleaseHistory(release);
+        }
+        return releases.length;
+    }
+
+    /**
+     * Close the database
+     */
+    async close() {
+        this.db?.close();
+        this.db = null;
+    }
+
+    /**
+     * Run statements in a transaction, rolling back if one throws
+     * @param {Function} fn - Synchronous function using this.db
+     */
+    transaction(fn) {
+        this.db.exec('BEGIN');
+        try {
+            fn();
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * @param {Object} reminder - Reminder to insert or overwrite
+     */
+    insertReminder(reminder) {
+        this.db.prepare(`INSERT OR REPLACE INTO reminders (id, user_id, channel_id, guild_id, text, reminder_time)
+            VALUES (?, ?, ?, ?, ?, ?)`)
+            .run(reminder.id, reminder.userId, reminder.channelId, reminder.guildId, reminder.text, reminder.reminderTime);
+    }
+
+    /**
+     * @param {string} kind - Posted item kind
+     * @param {string[]} keys - Item keys, oldest first
+     */
+    insertPosted(kind, keys) {
+        const insert = this.db.prepare('INSERT OR IGNORE INTO posted_items (kind, key, posted_at) VALUES (?, ?, ?)');
+        const now = Date.now();
+        for (const key of keys) {
+            insert.run(kind, key, now);
+        }
+    }
+
+    /**
+     * @param {Object} subscription - Subscription to insert, or whose delivery to update
+     */
+    insertSubscription(subscription) {
+        this.db.prepare(`INSERT INTO subscriptions (user_id, project, delivery, created_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (user_id, project) DO UPDATE SET delivery = excluded.delivery`)
+            .run(subscription.userId, subscription.project, subscription.delivery, subscription.createdAt);
+    }
+
+    /**
+     * @param {Object} entry - Digest entry to insert
+     */
+    insertDigestEntry(entry) {
+        this.db.prepare(`INSERT OR IGNORE INTO digest_entries
+            (id, category, project, name, tag, url, release_channel, channel_id, published_at, queued_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(entry.id, entry.category, entry.project, entry.name, entry.tag, entry.url ?? null,
+                entry.releaseChannel, entry.channelId, entry.publishedAt ?? null, entry.queuedAt);
+    }
+
+    /**
+     * @param {Object} release - Release history entry to insert or replace
+     */
+    insertReleaseHistory(release) {
+        this.db.prepare(`INSERT OR REPLACE INTO release_history
+            (id, category, project, name, tag, url, release_channel, published_at, recorded_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(release.id, release.category, release.project, release.name, release.tag, release.url ?? null,
+                release.releaseChannel, release.publishedAt, release.recordedAt);
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Stored reminders
+     */
+    async listReminders() {
+        return this.db.prepare('SELECT * FROM reminders ORDER BY reminder_time').all().map(rowToReminder);
+    }
+
+    /**
+     * @param {Object} reminder - Reminder to store
+     */
+    async addReminder(reminder) {
+        this.insertReminder(reminder);
+    }
+
+    /**
+     * @param {string} reminderId - ID of the reminder to remove
+     */
+    async removeReminder(reminderId) {
+        this.db.prepare('DELETE FROM reminders WHERE id = ?').run(reminderId);
+    }
+
+    /**
+     * @param {Array<Object>} reminders - Reminders that replace every stored reminder
+     */
+    async replaceReminders(reminders) {
+        this.transaction(() => {
+            this.db.exec('DELETE FROM reminders');
+            for (const reminder of reminders) {
+                this.insertReminder(reminder);
+            }
+        });
+    }
+
+    /**
+     * @param {string} kind - Posted item kind ('reddit' or 'update')
+     * @param {string} key - Item key
+     * @returns {Promise<boolean>}
+     */
+    async hasPosted(kind, key) {
+        return Boolean(this.db.prepare('SELECT 1 FROM posted_items WHERE kind = ? AND key = ?').get(kind, key));
+    }
+
+    /**
+     * @param {string} kind - Posted item kind
+     * @returns {Promise<string[]>} Keys, oldest first
+     */
+    async listPosted(kind) {
+        return this.db.prepare('SELECT key FROM posted_items WHERE kind = ? ORDER BY seq').all(kind).map(row => row.key);
+    }
+
+    /**
+     * Remember items as posted, keeping only the newest `limit` of that kind
+     * @param {string} kind - Posted item kind
+     * @param {string|string[]} keys - Item keys
+     * @param {number} limit - Maximum number of keys kept for the kind
+     */
+    async markPosted(kind, keys, limit) {
+        this.transaction(() => {
+            this.insertPosted(kind, [].concat(keys));
+            this.db.prepare(`DELETE FROM posted_items WHERE kind = ? AND seq NOT IN (
+                SELECT seq FROM posted_items WHERE kind = ? ORDER BY seq DESC LIMIT ?)`)
+                .run(kind, kind, limit);
+        });
+    }
+
+    /**
+     * @param {{ userId?: string, project?: string }} [filter] - Only subscriptions of this user and/or project
+     * @returns {Promise<Array<Object>>} Subscriptions, oldest first
+     */
+    async listSubscriptions({ userId, project } = {}) {
+        return this.db.prepare(`SELECT * FROM subscriptions
+            WHERE (?1 IS NULL OR user_id = ?1) AND (?2 IS NULL OR project = ?2) ORDER BY created_at`)
+            .all(userId ?? null, project ?? null)
+            .map(row => ({ userId: row.user_id, project: row.project, delivery: row.delivery, createdAt: row.created_at }));
+    }
+
+    /**
+     * Add a subscription, or update the delivery of an existing one
+     * @param {{ userId: string, project: string, delivery: string, createdAt: string }} subscription - Subscription to store
+     */
+    async addSubscription(subscription) {
+        this.insertSubscription(subscription);
+    }
+
+    /**
+     * @param {string} userId - Subscriber
+     * @param {string} project - Project reference
+     * @returns {Promise<boolean>} Whether a subscription was removed
+     */
+    async removeSubscription(userId, project) {
+        return this.db.prepare('DELETE FROM subscriptions WHERE user_id = ? AND project = ?').run(userId, project).changes > 0;
+    }
+
+    /**
+     * @param {string} [category] - Only entries of this category type
+     * @returns {Promise<Array<Object>>} Queued digest entries, oldest first
+     */
+    async listDigestEntries(category) {
+        const rows = category
+            ? this.db.prepare('SELECT * FROM digest_entries WHERE category = ? ORDER BY queued_at').all(category)
+            : this.db.prepare('SELECT * FROM digest_entries ORDER BY queued_at').all();
+        return rows.map(rowToDigestEntry);
+    }
+
+    /**
+     * @param {Object} entry - Release waiting for the next digest
+     */
+    async addDigestEntry(entry) {
+        this.insertDigestEntry(entry);
+    }
+
+    /**
+     * @param {string[]} ids - IDs of entries that were posted
+     */
+    async removeDigestEntries(ids) {
+        this.transaction(() => {
+            const remove = this.db.prepare('DELETE FROM digest_entries WHERE id = ?');
+            for (const id of ids) {
+                remove.run(id);
+            }
+        });
+    }
+
+    /**
+     * @param {{ category?: string, project?: string, since?: string, offset?: number, limit?: number }} [filter] - Only releases
+     *     of this category and/or project published at or after `since` (ISO date); `offset` and `limit` select a page
+     * @returns {Promise<{ releases: Array<Object>, total: number }>} Matching releases, newest first, and their count
+     */
+    async listReleaseHistory({ category, project, since, offset = 0, limit } = {}) {
+        const where = 'WHERE (?1 IS NULL OR category = ?1) AND (?2 IS NULL OR project = ?2) AND (?3 IS NULL OR published_at >= ?3)';
+        const params = [category ?? null, project ?? null, since ?? null];
+
+        const releases = this.db.prepare(`SELECT * FROM release_history ${where} ORDER BY published_at DESC LIMIT ?4 OFFSET ?5`)
+            .all(...params, limit ?? -1, offset)
+            .map(rowToReleaseHistory);
+        const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM release_history ${where}`).get(...params);
+
+        return { releases, total };
+    }
+
+    /**
+     * Log a release, keeping only the newest `limit` releases
+     * @param {Object} entry - Release to log
+     * @param {number} limit - Maximum number of releases kept
+     */
+    async addReleaseHistory(entry, limit) {
+        this.transaction(() => {
+            this.insertReleaseHistory(entry);
+            this.db.prepare(`DELETE FROM release_history WHERE id NOT IN (
+                SELECT id FROM release_history ORDER BY published_at DESC LIMIT ?)`)
+                .run(limit);
+        });
+    }
+}
@@ -51,6 +51,98 @@ const OPTIONAL_ENV_VARS = {
             return null;
         }
     },
+    PRERELEASE_CHANNEL_ID: {
+        description: 'Channel ID for pre-release notifications (defaults to UPDATE_CHANNEL_ID)',
+        default: null,
+        validate: (value) => {
+            if (value && !/^\d{17,19}$/.test(value)) return 'must be 17-19 digits if provided';
+            return null;
+        }
+    },
+    OFFICIAL_UNSTABLE_CHANNEL_ID: {
+        description: 'Channel ID for unstable official Jellyfin builds (defaults to PRERELEASE_CHANNEL_ID, then UPDATE_CHANNEL_ID)',
+        default: null,
+        validate: (value) => {
+            if (value && !/^\d{17,19}$/.test(value)) return 'must be 17-19 digits if provided';
+            return null;
+        }
+    },
+    UPDATE_ROLE_IDS: {
+        description: 'Roles mentioned on release announcements per category, e.g. clients=123,plugins=456',
+        default: null,
+        validate: (value) => {
+            const invalid = value.split(',').map(s => s.trim()).filter(s => !/^(clients|plugins|services)=\d{17,19}$/.test(s));
+            if (invalid.length > 0) return `has invalid entries (${invalid.join(', ')}); use category=roleId for clients, plugins, or services`;
+            return null;
+        }
+    },
+    UPDATE_DIGEST_CATEGORIES: {
+        description: 'Categories posted as a scheduled release digest, e.g. plugins=weekly,services=daily',
+        default: null,
+        validate: (value) => {
+            const invalid = value.split(',').map(s => s.trim()).filter(s => !/^(clients|plugins|services)=(daily|weekly)$/i.test(s));
+            if (invalid.length > 0) return `has invalid entries (${invalid.join(', ')}); use category=daily or category=weekly for clients, plugins, or services`;
+            return null;
+        }
+    },
+    MOD_CHANNEL_ID: {
+        description: 'Channel ID for the moderator review queue',
+        default: null,
+        validate: (value) => {
+            if (value && !/^\d{17,19}$/.test(value)) return 'must be 17-19 digits if provided';
+            return null;
+        }
+    },
+    MOD_ROLE_ID: {
+        description: 'Role ID that grants access to moderator commands (in addition to Manage Messages)',
+        default: null,
+        validate: (value) => {
+            if (value && !/^\d{17,19}$/.test(value)) return 'must be 17-19 digits if provided';
+            return null;
+        }
+    },
+    PLUGIN_MANIFESTS: {
+        description: 'Comma-separated Jellyfin plugin manifest URLs or local file paths to import',
+        default: null,
+        validate: (value) => {
+            const invalid = value.split(',').map(s => s.trim()).filter(s => /^[a-z]+:\/\//i.test(s) && !/^https?:\/\//i.test(s));
+            if (invalid.length > 0) return 'URLs must use http or https';
+            return null;
+        }
+    },
+    GITHUB_TOKEN: {
+        description: 'Authenticated GitHub API requests (5000 instead of 60 per hour)',
+        default: null,
+        validate: (value) => {
+            if (/\s/.test(value)) return 'must not contain whitespace';
+            return null;
+        }
+    },
+    FORGE_HOSTS: {
+        description: 'Self-hosted forges whose releases are tracked, e.g. gitlab.gnome.org=gitlab,git.example.org=gitea',
+        default: null,
+        validate: (value) => {
+            const invalid = value.split(',').map(s => s.trim()).filter(s => !/^[a-z0-9.-]+=(github|gitlab|gitea|sourcehut)$/i.test(s));
+            if (invalid.length > 0) return `has invalid entries (${invalid.join(', ')}); use host=forge with github, gitlab, gitea, or sourcehut`;
+            return null;
+        }
+    },
+    STALE_PROJECT_DAYS: {
+        description: 'Days without commits before a project is flagged as stale',
+        default: '180',
+        validate: (value) => {
+            if (!/^\d+$/.test(value) || Number(value) < 1) return 'must be a positive whole number';
+            return null;
+        }
+    },
+    STORAGE_BACKEND: {
+        description: 'Storage backend for reminders and posted items (json or sqlite)',
+        default: 'json',
+        validate: (value) => {
+            if (!['json', 'sqlite'].includes(value.toLowerCase())) return 'must be json or sqlite';
+            return null;
+        }
+    },
     LOG_LEVEL: {
         description: 'Logging level (debug, info, warn, error)',
         default: 'info',